@@ -0,0 +1,211 @@
+import { alignFields, diffWords } from "./metadata_diff.js";
+
+// two images side by side, fields aligned by key, differences highlighted
+export class CompareView {
+    constructor(containerEl, options = {}) {
+        this.container = containerEl;
+        this.options = { ...options };
+        // ImageUploader reads and parses the files
+        this.uploader = options.uploader;
+        this.slots = [null, null];
+        this.log('CompareView constructor');
+    }
+
+    init() {
+        this.log('CompareView init');
+        this.createElements();
+    }
+
+    log(...args) {
+        if (this.options.isDebugMode) {
+            console.log(...args);
+        }
+    }
+
+    createElements() {
+        this.log('CompareView createElements');
+        this.element = document.createElement('div');
+        this.element.className = 'image-compare';
+
+        const slots = document.createElement('div');
+        slots.className = 'image-compare-slots';
+        this.slotElements = ['A', 'B'].map((label, index) => this.createSlot(label, index));
+        slots.append(...this.slotElements);
+
+        this.result = document.createElement('div');
+        this.result.className = 'image-metadata image-compare-result';
+
+        this.element.append(slots, this.result);
+        this.container.appendChild(this.element);
+    }
+
+    createSlot(label, index) {
+        const slot = document.createElement('div');
+        slot.className = 'image-compare-slot';
+        slot.title = `Click to load image ${label} or drop it here (two files at once fill both)`;
+
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.hidden = true;
+        fileInput.accept = 'image/png,image/jpeg,image/webp';
+        fileInput.addEventListener('change', () => {
+            const file = fileInput.files[0];
+            fileInput.value = '';
+            if (file) this.loadSlot(index, file);
+        });
+
+        slot.addEventListener('click', () => fileInput.click());
+        slot.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            slot.classList.add('active');
+        });
+        slot.addEventListener('dragleave', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            slot.classList.remove('active');
+        });
+        slot.addEventListener('drop', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            slot.classList.remove('active');
+            const files = [...e.dataTransfer.files];
+            if (files.length > 1) {
+                this.loadSlot(0, files[0]);
+                this.loadSlot(1, files[1]);
+            } else if (files.length === 1) {
+                this.loadSlot(index, files[0]);
+            }
+        });
+
+        slot.fileInput = fileInput;
+        slot.label = label;
+        this.renderSlot(slot, null);
+        return slot;
+    }
+
+    renderSlot(slot, data) {
+        if (!data) {
+            const text = document.createElement('span');
+            text.className = 'image-compare-label';
+            text.textContent = slot.label;
+            slot.replaceChildren(text, slot.fileInput);
+            return;
+        }
+
+        const img = document.createElement('img');
+        img.className = 'image-compare-preview';
+        img.src = data.url;
+
+        const name = document.createElement('div');
+        name.className = 'image-compare-name';
+        name.textContent = `${slot.label}: ${data.file.name}${data.format ? ` (${data.format})` : ''}`;
+
+        slot.replaceChildren(img, name, slot.fileInput);
+    }
+
+    async loadSlot(index, file) {
+        this.log('CompareView loadSlot');
+        try {
+            if (!['image/png', 'image/jpeg', 'image/webp'].includes(file.type)) {
+                this.uploader.showToast('error', 'PNGInfo Failed', `Unsupported file format`);
+                return;
+            }
+
+            const chunks = await this.uploader.readRawMetadata(file);
+            const { fields, format } = await this.uploader.parseFormats(chunks);
+
+            this.clearSlot(index);
+            this.slots[index] = {
+                file,
+                url: URL.createObjectURL(file),
+                fields,
+                format: format ? format.formatName : null
+            };
+
+            this.renderSlot(this.slotElements[index], this.slots[index]);
+            this.render();
+        } catch (error) {
+            const error_text = `Error in CompareView loadSlot`;
+            console.error(`${error_text}: `, error);
+            this.uploader.showToast('error', 'PNGInfo Failed', `${error_text}`);
+        }
+    }
+
+    render() {
+        this.log('CompareView render');
+        const [a, b] = this.slots;
+        if (!a || !b) {
+            this.result.replaceChildren();
+            return;
+        }
+
+        const table = document.createElement('table');
+        table.className = 'image-compare-table';
+
+        let section = null;
+        for (const row of alignFields(a.fields, b.fields)) {
+            if (row.section !== section) {
+                section = row.section;
+                const title = document.createElement('tr');
+                title.className = 'image-compare-section';
+                title.appendChild(this.cell(section, 'my-color-header', 3));
+                table.appendChild(title);
+            }
+
+            const tr = document.createElement('tr');
+            tr.classList.toggle('changed', row.changed);
+            tr.appendChild(this.cell(row.field, 'my-color-header'));
+
+            if (row.changed && (row.kind === 'prompt' || row.kind === 'lora')
+                && row.left !== undefined && row.right !== undefined) {
+                const { left, right } = diffWords(row.left, row.right);
+                tr.appendChild(this.diffCell(left, 'diff-removed'));
+                tr.appendChild(this.diffCell(right, 'diff-added'));
+            } else {
+                tr.appendChild(this.cell(row.left ?? '', 'my-color-default'));
+                tr.appendChild(this.cell(row.right ?? '', 'my-color-default'));
+            }
+
+            table.appendChild(tr);
+        }
+
+        this.result.replaceChildren(table);
+    }
+
+    cell(text, className, colSpan = 1) {
+        const td = document.createElement('td');
+        td.className = className;
+        td.colSpan = colSpan;
+        td.textContent = text;
+        return td;
+    }
+
+    diffCell(parts, changedClass) {
+        const td = document.createElement('td');
+        td.className = 'my-color-default';
+        for (const { text, changed } of parts) {
+            const span = document.createElement('span');
+            if (changed) span.className = changedClass;
+            span.textContent = text;
+            td.appendChild(span);
+        }
+        return td;
+    }
+
+    clearSlot(index) {
+        if (this.slots[index]) {
+            URL.revokeObjectURL(this.slots[index].url);
+            this.slots[index] = null;
+        }
+    }
+
+    destroy() {
+        this.log('CompareView destroy');
+        this.clearSlot(0);
+        this.clearSlot(1);
+        if (this.element) {
+            this.element.remove();
+        }
+    }
+}
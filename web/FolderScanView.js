@@ -0,0 +1,285 @@
+import { SCAN_COLUMNS, summarizeFields, matchRow, compareValues, rowsToCSV, rowsToJSON } from "./folder_scan.js";
+
+const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/webp'];
+const IMAGE_EXTENSIONS = /\.(png|jpe?g|webp)$/i;
+
+// some systems give no MIME type for the files of a folder, the readers dispatch on it
+const EXTENSION_TYPES = { png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg', webp: 'image/webp' };
+
+// all images of a folder in one table: sort by column, search, export
+export class FolderScanView {
+    constructor(containerEl, options = {}) {
+        this.container = containerEl;
+        this.options = { ...options };
+        // ImageUploader reads and parses the files
+        this.uploader = options.uploader;
+        this.rows = [];
+        this.sort = { key: 'file', direction: 1 };
+        this.query = '';
+        this.scanToken = 0;
+        this.log('FolderScanView constructor');
+    }
+
+    init() {
+        this.log('FolderScanView init');
+        this.createElements();
+        this.setupDragAndDrop();
+    }
+
+    log(...args) {
+        if (this.options.isDebugMode) {
+            console.log(...args);
+        }
+    }
+
+    createElements() {
+        this.log('FolderScanView createElements');
+        this.element = document.createElement('div');
+        this.element.className = 'folder-scan';
+
+        this.folderInput = document.createElement('input');
+        this.folderInput.type = 'file';
+        this.folderInput.hidden = true;
+        this.folderInput.webkitdirectory = true;
+        this.folderInput.multiple = true;
+        this.folderInput.addEventListener('change', () => {
+            const files = [...this.folderInput.files];
+            this.folderInput.value = '';
+            this.scan(files);
+        });
+
+        const toolbar = document.createElement('div');
+        toolbar.className = 'image-metadata-actions';
+
+        this.pickButton = this.createButton('Pick folder', 'Scan all images of a folder (or drop a folder here)', () => this.folderInput.click());
+        this.stopButton = this.createButton('Stop', 'Stop scanning', () => this.stop());
+        this.stopButton.hidden = true;
+        const csvButton = this.createButton('CSV', 'Export the visible rows to CSV', () => this.export('csv'));
+        const jsonButton = this.createButton('JSON', 'Export the visible rows to JSON (with all fields)', () => this.export('json'));
+
+        this.searchInput = document.createElement('input');
+        this.searchInput.type = 'search';
+        this.searchInput.className = 'folder-scan-search';
+        this.searchInput.placeholder = 'Search prompts, models, LoRA...';
+        this.searchInput.addEventListener('input', () => {
+            this.query = this.searchInput.value;
+            this.render();
+        });
+
+        toolbar.append(this.pickButton, this.stopButton, csvButton, jsonButton, this.searchInput);
+
+        this.status = document.createElement('div');
+        this.status.className = 'folder-scan-status my-color-default';
+
+        this.table = document.createElement('table');
+        this.table.className = 'image-metadata folder-scan-table';
+
+        this.element.append(toolbar, this.folderInput, this.status, this.table);
+        this.container.appendChild(this.element);
+    }
+
+    createButton(text, title, onClick) {
+        const button = document.createElement('button');
+        button.className = 'image-metadata-button';
+        button.textContent = text;
+        button.title = title;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    setupDragAndDrop() {
+        this.log('FolderScanView setupDragAndDrop');
+        this.element.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+        });
+        this.element.addEventListener('drop', async (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            try {
+                // entries have to be taken before the first await
+                const entries = [...e.dataTransfer.items]
+                    .map(item => item.webkitGetAsEntry?.())
+                    .filter(entry => entry);
+                const files = entries.length > 0
+                    ? await this.readEntries(entries)
+                    : [...e.dataTransfer.files];
+                this.scan(files);
+            } catch (error) {
+                const error_text = `Error in FolderScanView drop`;
+                console.error(`${error_text}: `, error);
+                this.uploader.showToast('error', 'PNGInfo Failed', `${error_text}`);
+            }
+        });
+    }
+
+    // dropped folders -> files, recursively; the path is kept for the table
+    async readEntries(entries, path = '') {
+        const files = [];
+        for (const entry of entries) {
+            if (entry.isFile) {
+                const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+                files.push({ file, path: `${path}${file.name}` });
+            } else if (entry.isDirectory) {
+                const reader = entry.createReader();
+                // readEntries returns the folder in portions
+                let portion;
+                do {
+                    portion = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+                    files.push(...await this.readEntries(portion, `${path}${entry.name}/`));
+                } while (portion.length > 0);
+            }
+        }
+        return files;
+    }
+
+    isImage(file) {
+        return IMAGE_TYPES.includes(file.type) || IMAGE_EXTENSIONS.test(file.name);
+    }
+
+    // the same file with the type of its extension when the browser left it empty
+    withType(file) {
+        if (file.type) return file;
+        const type = EXTENSION_TYPES[file.name.split('.').pop().toLowerCase()];
+        return type ? new File([file], file.name, { type, lastModified: file.lastModified }) : file;
+    }
+
+    // one file at a time, the table is updated as the rows come
+    async scan(items) {
+        this.log('FolderScanView scan');
+        const token = ++this.scanToken;
+
+        const files = items
+            .map(item => item instanceof File ? { file: item, path: item.webkitRelativePath || item.name } : item)
+            .filter(({ file }) => this.isImage(file))
+            .map(item => ({ ...item, file: this.withType(item.file) }));
+
+        this.rows = [];
+        this.render();
+
+        if (files.length === 0) {
+            this.status.textContent = 'No images found';
+            return;
+        }
+
+        this.stopButton.hidden = false;
+        for (let i = 0; i < files.length; i++) {
+            if (token !== this.scanToken) return;
+            const { file, path } = files[i];
+            this.status.textContent = `Scanning ${i + 1} / ${files.length}`;
+            this.rows.push(await this.readRow(file, path));
+            // not every file, a big table is slow to rebuild
+            if (i % 20 === 19 || i === files.length - 1) this.render();
+        }
+        this.stopButton.hidden = true;
+        this.status.textContent = `${this.rows.length} images`;
+
+        // one toast for the whole scan, the reasons are in the Status column
+        const failed = this.rows.filter(row => row.status).length;
+        if (failed > 0) {
+            this.uploader.showToast('warn', 'PNGInfo', `${failed} of ${this.rows.length} files could not be read, see the Status column`, 10000);
+        }
+    }
+
+    stop() {
+        this.log('FolderScanView stop');
+        this.scanToken++;
+        this.stopButton.hidden = true;
+        this.status.textContent = `Stopped, ${this.rows.length} images`;
+        this.render();
+    }
+
+    // the reader in quiet mode: no toast per bad file, the failure goes into the row
+    async readRow(file, path) {
+        const errors = [];
+        try {
+            const chunks = await this.uploader.readRawMetadata(file, errors);
+            const { fields, format } = await this.uploader.parseFormats(chunks);
+            return {
+                file: path,
+                format: format ? format.formatName : (fields[0]?.value ?? ''),
+                ...summarizeFields(fields),
+                status: errors.join('; '),
+                fields,
+                source: file
+            };
+        } catch (error) {
+            this.log(`PNGInfo: error in ${path}`, error);
+            return { ...summarizeFields([]), file: path, format: '', status: [...errors, error.message].join('; '), fields: [], source: file };
+        }
+    }
+
+    // rows after the search, in the table order
+    visibleRows() {
+        const { key, direction } = this.sort;
+        return this.rows
+            .filter(row => matchRow(row, this.query))
+            .sort((a, b) => compareValues(a[key], b[key]) * direction);
+    }
+
+    render() {
+        const rows = this.visibleRows();
+
+        const header = document.createElement('tr');
+        for (const { key, title } of SCAN_COLUMNS) {
+            const th = document.createElement('th');
+            th.className = 'my-color-header';
+            th.textContent = this.sort.key === key ? `${title} ${this.sort.direction > 0 ? '▲' : '▼'}` : title;
+            th.title = 'Sort';
+            th.addEventListener('click', () => {
+                this.sort = { key, direction: this.sort.key === key ? -this.sort.direction : 1 };
+                this.render();
+            });
+            header.appendChild(th);
+        }
+
+        const body = rows.map((row, index) => {
+            const tr = document.createElement('tr');
+            tr.title = 'Open this image (the visible rows can be stepped through)';
+            tr.addEventListener('click', () => this.options.onOpen?.(rows.map(item => item.source), index));
+            for (const { key } of SCAN_COLUMNS) {
+                const td = document.createElement('td');
+                td.className = key === 'model' || key === 'file' ? 'my-color-file'
+                    : key === 'seed' || key === 'steps' ? 'my-color-int'
+                    : 'my-color-default';
+                td.textContent = row[key];
+                td.title = row[key];
+                tr.appendChild(td);
+            }
+            return tr;
+        });
+
+        this.table.replaceChildren(header, ...body);
+
+        if (this.rows.length > 0 && this.query) {
+            this.status.textContent = `${rows.length} of ${this.rows.length} images`;
+        }
+    }
+
+    export(type) {
+        this.log('FolderScanView export');
+        const rows = this.visibleRows();
+        if (rows.length === 0) {
+            this.uploader.showToast('warn', 'PNGInfo', 'Nothing to export');
+            return;
+        }
+
+        const text = type === 'csv' ? rowsToCSV(rows) : rowsToJSON(rows);
+        const blob = new Blob([text], { type: type === 'csv' ? 'text/csv' : 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `pnginfo_scan.${type}`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    destroy() {
+        this.log('FolderScanView destroy');
+        this.scanToken++;
+        this.rows = [];
+        if (this.element) {
+            this.element.remove();
+        }
+    }
+}
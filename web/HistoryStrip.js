@@ -0,0 +1,118 @@
+export class HistoryStrip {
+    constructor(containerEl, options = {}) {
+        this.container = containerEl;
+        this.options = { ...options };
+        this.history = options.history;
+        this.objectURLs = [];
+        this.log('HistoryStrip constructor');
+    }
+
+    init() {
+        this.log('HistoryStrip init');
+        this.createElements();
+        this.refresh();
+    }
+
+    log(...args) {
+        if (this.options.isDebugMode) {
+            console.log(...args);
+        }
+    }
+
+    createElements() {
+        this.log('HistoryStrip createElements');
+        this.element = document.createElement('div');
+        this.element.className = 'image-history';
+        this.element.hidden = true;
+
+        this.list = document.createElement('div');
+        this.list.className = 'image-history-list';
+
+        this.element.appendChild(this.list);
+        this.container.appendChild(this.element);
+    }
+
+    async refresh() {
+        this.log('HistoryStrip refresh');
+        try {
+            const entries = await this.history.list();
+
+            this.clearObjectURLs();
+            this.list.replaceChildren(...entries.map(entry => this.createItem(entry)));
+            this.element.hidden = entries.length === 0;
+        } catch (error) {
+            const error_text = `Error in HistoryStrip refresh`;
+            console.error(`${error_text}: `, error);
+        }
+    }
+
+    createItem(entry) {
+        const item = document.createElement('div');
+        item.className = 'image-history-item' + (entry.pinned ? ' pinned' : '');
+
+        const url = URL.createObjectURL(entry.thumbnail || entry.blob);
+        this.objectURLs.push(url);
+
+        const img = document.createElement('img');
+        img.className = 'image-history-thumbnail';
+        img.src = url;
+        img.title = this.describe(entry);
+        img.addEventListener('click', () => this.options.onOpen?.(entry));
+
+        const pin = this.createButton(entry.pinned ? 'Unpin' : 'Pin (never removed by the history limit)', 'pi pi-thumbtack',
+            () => this.update(this.history.setPinned(entry.id, !entry.pinned)));
+        pin.classList.toggle('active', entry.pinned);
+
+        const remove = this.createButton('Remove from history', 'pi pi-times',
+            () => this.update(this.history.remove(entry.id)));
+
+        item.append(img, pin, remove);
+        return item;
+    }
+
+    createButton(title, icon, onClick) {
+        const button = document.createElement('button');
+        button.className = `image-history-button ${icon}`;
+        button.title = title;
+        button.addEventListener('click', (e) => {
+            e.stopPropagation();
+            onClick();
+        });
+        return button;
+    }
+
+    async update(promise) {
+        try {
+            await promise;
+        } catch (error) {
+            const error_text = `Error in HistoryStrip update`;
+            console.error(`${error_text}: `, error);
+        }
+        await this.refresh();
+    }
+
+    // tooltip: file name, format and the start of the prompt
+    describe(entry) {
+        const lines = [entry.name];
+        if (entry.format) lines.push(entry.format);
+        const prompt = (entry.fields || []).find(field => field.kind === 'prompt');
+        if (prompt) {
+            lines.push(prompt.value.length > 200 ? `${prompt.value.slice(0, 200)}...` : prompt.value);
+        }
+        lines.push(new Date(entry.time).toLocaleString());
+        return lines.join('\n');
+    }
+
+    clearObjectURLs() {
+        this.objectURLs.forEach(url => URL.revokeObjectURL(url));
+        this.objectURLs = [];
+    }
+
+    destroy() {
+        this.log('HistoryStrip destroy');
+        this.clearObjectURLs();
+        if (this.element) {
+            this.element.remove();
+        }
+    }
+}
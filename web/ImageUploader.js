@@ -1,13 +1,31 @@
 import { app } from "../../../scripts/app.js";
+import { api } from "../../../scripts/api.js";
 // import * as pngMetadata from "../../../scripts/metadata/png.js"; // ЗАКОММЕНТИРОВАНО: Внутренний API заблокирован
-import ComfyUI from "./read_prompt_comfy.js";
+import BaseFormat from "./read_prompt_base.js";
 import ForgeUI from "./read_prompt_forge.js";
+import { formatRegistry } from "./format_registry.js";
+import { buildComfyPrompt } from "./forge_to_comfy.js";
+import { MetadataRenderer } from "./MetadataRenderer.js";
+import { toA1111Parameters, toJSONObject } from "./parameters_text.js";
+import { sendTextToCanvas, applySamplerSettings } from "./canvas_actions.js";
 
 export class ImageUploader {
     constructor(containerEl, options = {}) {
         this.container = containerEl;
         this.options = { ...options };
         this.currentObjectURL = null;
+        this.nodeDefs = null;
+        // opened files for prev/next, parsed metadata is cached per file
+        this.files = [];
+        this.fileIndex = 0;
+        this.filmstripURLs = [];
+        this.metadataCache = new WeakMap();
+        this.displayToken = 0;
+        this.renderer = new MetadataRenderer({
+            isDebugMode: this.options.isDebugMode,
+            onCopy: (text, label) => this.copyText(text, label),
+            onSend: (text, label) => this.sendText(text, label)
+        });
         this.log('ImageUploader constructor');
     }
 
@@ -24,19 +42,51 @@ export class ImageUploader {
         }
     }
 
-    showToast(severity, summary, detail) {
+    dispatchEvent(type, detail) {
+        if (this.options.events) {
+            this.options.events.dispatchEvent(new CustomEvent(type, { detail }));
+        }
+    }
+
+    showToast(severity, summary, detail, life = 3000) {
         if (app.extensionManager?.toast) {
             app.extensionManager.toast.add({
                 severity: severity,
                 summary: summary,
                 detail: detail,
-                life: 3000
+                life: life
             });
         } else {
             console.warn(summary, detail);
         }
     }
 
+    async copyText(text, label) {
+        this.log('ImageUploader copyText');
+        try {
+            await navigator.clipboard.writeText(text);
+            this.showToast('success', 'PNGInfo', `${label} copied`, 1500);
+        } catch (error) {
+            const error_text = `Failed to copy ${label}`;
+            console.error(`${error_text}: `, error);
+            this.showToast('error', 'PNGInfo Failed', `${error_text}`);
+        }
+    }
+
+    sendText(text, label) {
+        this.log('ImageUploader sendText');
+        try {
+            const { node, widget, created } = sendTextToCanvas(text, label);
+            this.showToast('success', 'PNGInfo', created
+                ? `${label} added as a new ${node.type} node`
+                : `${label} sent to "${node.title}" (${widget})`);
+        } catch (error) {
+            const error_text = `Failed to send ${label}`;
+            console.error(`${error_text}: `, error);
+            this.showToast('error', 'PNGInfo Failed', `${error_text}: ${error.message}`);
+        }
+    }
+
     createElements() {
         this.log('ImageUploader createElements');
         this.innerContainer = document.createElement('div');
@@ -49,11 +99,26 @@ export class ImageUploader {
 
         this.fileInput = document.createElement('input');
         this.fileInput.type = 'file';
+        this.fileInput.multiple = true;
         this.fileInput.hidden = true;
 
         this.dropOverlay = document.createElement('div');
         this.dropOverlay.className = 'drop-overlay';
 
+        this.navigation = document.createElement('div');
+        this.navigation.className = 'image-uploader-navigation';
+
+        this.prevButton = this.createNavigationButton('‹', 'Previous image (Left arrow)', () => this.showFileAt(this.fileIndex - 1));
+        this.nextButton = this.createNavigationButton('›', 'Next image (Right arrow)', () => this.showFileAt(this.fileIndex + 1));
+        this.counter = document.createElement('span');
+        this.counter.className = 'image-uploader-counter';
+
+        this.filmstrip = document.createElement('div');
+        this.filmstrip.className = 'image-uploader-filmstrip';
+
+        this.navigation.append(this.prevButton, this.counter, this.nextButton, this.filmstrip);
+
+        this.innerContainer.tabIndex = 0;
         this.innerContainer.appendChild(this.button);
         this.innerContainer.appendChild(this.fileInput);
         this.innerContainer.appendChild(this.dropOverlay);
@@ -64,6 +129,25 @@ export class ImageUploader {
         this.log('ImageUploader setupEventListeners');
         this.button.addEventListener('click', () => this.fileInput.click());
         this.fileInput.addEventListener('change', this.handleFileSelect.bind(this));
+        this.innerContainer.addEventListener('keydown', (e) => {
+            if (this.files.length < 2 || e.target.closest('input, textarea, select')) return;
+            if (e.key === 'ArrowLeft') {
+                e.preventDefault();
+                this.showFileAt(this.fileIndex - 1);
+            } else if (e.key === 'ArrowRight') {
+                e.preventDefault();
+                this.showFileAt(this.fileIndex + 1);
+            }
+        });
+    }
+
+    createNavigationButton(text, title, onClick) {
+        const button = document.createElement('button');
+        button.className = 'image-metadata-button image-uploader-navigation-button';
+        button.textContent = text;
+        button.title = title;
+        button.addEventListener('click', onClick);
+        return button;
     }
 
     setupDragAndDrop() {
@@ -95,26 +179,105 @@ export class ImageUploader {
 
     handleFileSelect(e) {
         this.log('ImageUploader handleFileSelect');
-        const file = e.target.files[0];
-        if (!file) return;
+        const selected = [...(e.target.files || [])];
+        if (selected.length === 0) return;
 
-        const allowedExtensions = ['image/png', 'image/jpeg'];
-        const isImage = allowedExtensions.includes(file.type);
+        const allowedExtensions = ['image/png', 'image/jpeg', 'image/webp'];
+        const files = selected.filter(file => allowedExtensions.includes(file.type));
 
         this.fileInput.value = '';
 
-        if (isImage) {
-            this.clearPreviousImage();
-            this.displayImage(file);
-            this.addImageClickHandler();
-        } else {
+        if (files.length === 0) {
             this.showToast('error', 'PNGInfo Failed', `Unsupported file format`);
+            return;
+        }
+        if (files.length < selected.length) {
+            this.showToast('warn', 'PNGInfo', `Skipped ${selected.length - files.length} unsupported file(s)`);
+        }
+
+        this.setFiles(files);
+        this.showFileAt(0);
+    }
+
+    setFiles(files) {
+        this.log('ImageUploader setFiles');
+        this.files = files;
+        this.fileIndex = 0;
+
+        this.filmstripURLs.forEach(url => URL.revokeObjectURL(url));
+        this.filmstripURLs = [];
+
+        if (files.length < 2) {
+            this.filmstrip.replaceChildren();
+            return;
+        }
+
+        this.filmstrip.replaceChildren(...files.map((file, index) => {
+            const url = URL.createObjectURL(file);
+            this.filmstripURLs.push(url);
+
+            const thumbnail = document.createElement('img');
+            thumbnail.className = 'image-uploader-filmstrip-item';
+            thumbnail.src = url;
+            thumbnail.title = file.name;
+            thumbnail.loading = 'lazy';
+            thumbnail.decoding = 'async';
+            thumbnail.addEventListener('click', () => this.showFileAt(index));
+            return thumbnail;
+        }));
+    }
+
+    showFileAt(index) {
+        if (this.files.length === 0) return;
+        // wraps around at both ends
+        this.fileIndex = (index + this.files.length) % this.files.length;
+        this.log(`ImageUploader showFileAt ${this.fileIndex}`);
+
+        this.updateNavigation();
+        this.clearPreviousImage();
+        this.displayImage(this.files[this.fileIndex]);
+        this.addImageClickHandler();
+
+        // neighbours are parsed in advance, so stepping through is instant
+        if (this.files.length > 1) {
+            for (const step of [1, -1]) {
+                const file = this.files[(this.fileIndex + step + this.files.length) % this.files.length];
+                this.loadMetadata(file).catch(error => this.log(`Preload failed: ${error.message}`));
+            }
+        }
+    }
+
+    updateNavigation() {
+        this.counter.textContent = `${this.fileIndex + 1} / ${this.files.length}`;
+        [...this.filmstrip.children].forEach((thumbnail, index) => {
+            thumbnail.classList.toggle('active', index === this.fileIndex);
+            if (index === this.fileIndex) thumbnail.scrollIntoView?.({ block: 'nearest', inline: 'nearest' });
+        });
+    }
+
+    // raw chunks + parsed formats, cached for the files of the current set
+    loadMetadata(file) {
+        let promise = this.metadataCache.get(file);
+        if (!promise) {
+            promise = (async () => {
+                const rawMetadata = await this.readRawMetadata(file);
+                const parsed = await this.parseFormats(rawMetadata);
+                return { rawMetadata, parsed };
+            })();
+            this.metadataCache.set(file, promise);
+            promise.catch(() => this.metadataCache.delete(file));
         }
+        return promise;
     }
 
     async displayImage(file) {
         this.log('ImageUploader displayImage');
+        // a newer call (fast prev/next) wins
+        const token = ++this.displayToken;
         try {
+            const { rawMetadata, parsed } = await this.loadMetadata(file);
+            if (token !== this.displayToken) return;
+
             this.currentObjectURL = URL.createObjectURL(file);
             
             const img = document.createElement('img');
@@ -122,10 +285,13 @@ export class ImageUploader {
             img.src = this.currentObjectURL;
             img.title = 'Click to load new image or drop new image';
 
-            const metadata = await this.readMetadata(file);
-            const metadataContainer = this.createMetadataContainer(metadata);
+            const { fields, format, parcer } = parsed;
+            const metadataContainer = this.createMetadataContainer(parsed, rawMetadata, file);
+
+            const multiple = this.files.length > 1 && this.files.includes(file);
 
             this.innerContainer.replaceChildren(
+                ...(multiple ? [this.navigation] : []),
                 img, 
                 metadataContainer,
                 this.fileInput,
@@ -133,6 +299,15 @@ export class ImageUploader {
             );
             
             this.addImageClickHandler();
+
+            this.dispatchEvent('metadata-loaded', {
+                file,
+                chunks: rawMetadata,
+                fields,
+                format: format ? format.formatName : null,
+                parcer,
+                results: this.describeResults(parsed)
+            });
             
         } catch (error) {
             const error_text = `Error in displayImage`;
@@ -141,25 +316,46 @@ export class ImageUploader {
         }
     }
 
-    async readMetadata(file) {
-        this.log('ImageUploader readMetadata');
+    // all the readers that found something, for the events and the API
+    describeResults(parsed) {
+        const results = parsed.results.map(({ format, fields, chunks }) => ({ format: format.formatName, chunks, fields }));
+        if (parsed.other.length > 0) {
+            results.push({ format: null, chunks: parsed.other.map(field => field.field), fields: parsed.other });
+        }
+        return results;
+    }
+
+    // errors - quiet mode (folder scan): the failures go into this array instead of toasts
+    async readRawMetadata(file, errors = null) {
+        this.log('ImageUploader readRawMetadata');
         const baseMetadata = {};
 
         try {
+            let metadata = {};
+
             if (file.type === 'image/png') {
-                const pngData = await this.readPNGMetadata(file);
-                return { ...baseMetadata, ...pngData };
+                metadata = await this.readPNGMetadata(file, errors);
+            } else if (file.type === 'image/jpeg') {
+                metadata = await this.readEXIFMetadata(file);
+            } else if (file.type === 'image/webp') {
+                metadata = await this.readWEBPMetadata(file);
             }
 
-            if (file.type === 'image/jpeg') {
-                const exifData = await this.readEXIFMetadata(file);
-                return { ...baseMetadata, ...exifData };
+            // no text chunks: the metadata may still be hidden in the pixels (lossless formats only)
+            if (Object.keys(metadata).length === 0 && file.type !== 'image/jpeg') {
+                metadata = await this.readStealthMetadata(file);
             }
+
+            return { ...baseMetadata, ...metadata };
             
         } catch (error) {
             const error_text = `Error in readMetadata`;
-            console.error(`${error_text}: `, error);
-            this.showToast('error', 'PNGInfo Failed', `${error_text}`);
+            if (errors) {
+                errors.push(error.message);
+            } else {
+                console.error(`${error_text}: `, error);
+                this.showToast('error', 'PNGInfo Failed', `${error_text}`);
+            }
         }
 
         return baseMetadata;
@@ -175,22 +371,21 @@ export class ImageUploader {
     }
 
     // --- НОВЫЙ ПАРСЕР PNG (Вместо заблокированного модуля) ---
-    async readPNGMetadata(file) {
+    async readPNGMetadata(file, errors = null) {
         this.log('ImageUploader readPNGMetadata');
         try {
             const arrayBuffer = await this.readFileAsArrayBuffer(file);
             const data = new Uint8Array(arrayBuffer);
             
             // Простой парсер PNG чанков для поиска tEXt
-            const metadata = this.parsePngChunks(data);
-            return this.parceMetadata(metadata);
+            return await this.parsePngChunks(data, errors);
         } catch (error) {
             console.error('Error reading meta', error);
             throw error; 
         }
     }
 
-    parsePngChunks(data) {
+    async parsePngChunks(data, errors = null) {
         // Проверка сигнатуры PNG
         if (data[0] !== 137 || data[1] !== 80 || data[2] !== 78 || data[3] !== 71) {
             console.warn("Not a valid PNG file");
@@ -200,53 +395,41 @@ export class ImageUploader {
         let offset = 8; // Пропускаем сигнатуру
         const textData = {};
 
-        while (offset < data.length) {
+        while (offset + 8 <= data.length) {
             // Длина чанка (4 байта, big-endian)
-            const length = (data[offset] << 24) | (data[offset + 1] << 16) | (data[offset + 2] << 8) | data[offset + 3];
+            const length = ((data[offset] << 24) | (data[offset + 1] << 16) | (data[offset + 2] << 8) | data[offset + 3]) >>> 0;
             // Тип чанка (4 байта)
             const type = String.fromCharCode(data[offset + 4], data[offset + 5], data[offset + 6], data[offset + 7]);
-            
+
+            if (offset + 12 + length > data.length) {
+                console.warn(`Truncated PNG chunk: ${type}`);
+                break;
+            }
+
             // Данные чанка
             const chunkData = data.slice(offset + 8, offset + 8 + length);
             
             // Обрабатываем текстовые чанки: tEXt, zTXt, iTXt
             if (type === 'tEXt' || type === 'zTXt' || type === 'iTXt') {
-                // Находим разделитель нулевым байтом
-                let nullIndex = -1;
-                for (let i = 0; i < chunkData.length; i++) {
-                    if (chunkData[i] === 0) {
-                        nullIndex = i;
-                        break;
+                try {
+                    const chunk = await this.decodePngTextChunk(type, chunkData);
+                    if (chunk) {
+                        const { rawKey, value } = chunk;
+                        const key = rawKey.trim().toLowerCase();
+
+                        // Отладка: логируем ВСЕ найденные ключи
+                        this.log(`Found PNG chunk key: "${rawKey}" -> normalized: "${key}"`);
+
+                        // keep every text chunk, formats other than Forge/ComfyUI use their own keys
+                        textData[key] = value;
+                        this.log(`Stored ${key}: ${value.substring(0, 100)}...`);
                     }
-                }
-                
-                if (nullIndex > 0) {
-                    const rawKey = String.fromCharCode(...chunkData.slice(0, nullIndex));
-                    const key = rawKey.trim().toLowerCase();
-                    
-                    let value = '';
-                    if (type === 'tEXt') {
-                        const decoder = typeof TextDecoder !== 'undefined' 
-                            ? new TextDecoder('utf-8') 
-                            : { decode: (arr) => new TextDecoder('utf-8').decode(arr) };
-                        value = decoder.decode(chunkData.slice(nullIndex + 1));
+                } catch (error) {
+                    if (errors) {
+                        errors.push(error.message);
                     } else {
-                        // Для zTXt/iTXt — пока без распаковки
-                        const decoder = typeof TextDecoder !== 'undefined' 
-                            ? new TextDecoder('utf-8') 
-                            : { decode: (arr) => Array.from(arr).map(b => String.fromCharCode(b)).join('') };
-                        value = decoder.decode(chunkData.slice(nullIndex + 1));
-                        this.log(`Warning: ${type} chunk not fully decompressed: ${key}`);
-                    }
-                    
-                    // Отладка: логируем ВСЕ найденные ключи
-                    this.log(`Found PNG chunk key: "${rawKey}" -> normalized: "${key}"`);
-                    
-                    if (key === 'parameters' || key === 'prompt' || key === 'workflow') {
-                        // Сохраняем под оригинальным именем ключа (как ожидает parceMetadata)
-                        const storeKey = key === 'parameters' ? 'parameters' : key;
-                        textData[storeKey] = value;
-                        this.log(`Stored ${storeKey}: ${value.substring(0, 100)}...`);
+                        console.error(error);
+                        this.showToast('error', 'PNGInfo Failed', error.message);
                     }
                 }
             }
@@ -260,82 +443,190 @@ export class ImageUploader {
         this.log(`parsePngChunks result keys: ${Object.keys(textData).join(', ')}`);
         return textData;
     }
+
+    async decodePngTextChunk(type, chunkData) {
+        // keyword is terminated by the first null byte
+        const nullIndex = chunkData.indexOf(0);
+        if (nullIndex <= 0) return null;
+
+        const rawKey = String.fromCharCode(...chunkData.subarray(0, nullIndex));
+
+        if (type === 'tEXt') {
+            return { rawKey, value: this.decodeText(chunkData.subarray(nullIndex + 1)) };
+        }
+
+        if (type === 'zTXt') {
+            // keyword \0 method(1) zlib-data
+            const method = chunkData[nullIndex + 1];
+            if (method !== 0) {
+                throw new Error(`Corrupt zTXt chunk "${rawKey}": unknown compression method ${method}`);
+            }
+            const bytes = await this.decompressChunk(type, rawKey, chunkData.subarray(nullIndex + 2));
+            return { rawKey, value: this.decodeText(bytes) };
+        }
+
+        // iTXt: keyword \0 flag(1) method(1) language \0 translated keyword \0 text
+        let pos = nullIndex + 1;
+        if (pos + 2 > chunkData.length) {
+            throw new Error(`Corrupt iTXt chunk "${rawKey}": header is truncated`);
+        }
+        const compressed = chunkData[pos];
+        const method = chunkData[pos + 1];
+        pos += 2;
+
+        const langEnd = chunkData.indexOf(0, pos);
+        const translatedEnd = langEnd === -1 ? -1 : chunkData.indexOf(0, langEnd + 1);
+        if (translatedEnd === -1) {
+            throw new Error(`Corrupt iTXt chunk "${rawKey}": missing language tag or translated keyword`);
+        }
+
+        const language = this.decodeText(chunkData.subarray(pos, langEnd));
+        const translatedKey = this.decodeText(chunkData.subarray(langEnd + 1, translatedEnd));
+        this.log(`iTXt chunk "${rawKey}" language: "${language}", translated keyword: "${translatedKey}"`);
+
+        let bytes = chunkData.subarray(translatedEnd + 1);
+        if (compressed === 1) {
+            if (method !== 0) {
+                throw new Error(`Corrupt iTXt chunk "${rawKey}": unknown compression method ${method}`);
+            }
+            bytes = await this.decompressChunk(type, rawKey, bytes);
+        } else if (compressed !== 0) {
+            throw new Error(`Corrupt iTXt chunk "${rawKey}": invalid compression flag ${compressed}`);
+        }
+
+        return { rawKey, value: this.decodeText(bytes) };
+    }
+
+    async decompressChunk(type, key, bytes) {
+        try {
+            return await this.decompress(bytes, 'deflate');
+        } catch (error) {
+            throw new Error(`Corrupt ${type} chunk "${key}": ${error.message}`);
+        }
+    }
+
+    async decompress(bytes, format) {
+        if (typeof DecompressionStream === 'undefined') {
+            throw new Error('DecompressionStream is not supported by this browser');
+        }
+        const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream(format));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    decodeText(bytes, encoding = 'utf-8') {
+        return new TextDecoder(encoding).decode(bytes);
+    }
     // ---------------------------------------------------------
 
-    parceMetadata(metadata) {   
-        this.log('ImageUploader parceMetadata'); 
+    async getNodeDefs() {
+        // live object_info, used to map workflow widgets_values to input names
+        if (!this.nodeDefs) {
+            try {
+                this.nodeDefs = await api.getNodeDefs();
+            } catch (error) {
+                console.error('Error loading object_info: ', error);
+                return {};
+            }
+        }
+        return this.nodeDefs;
+    }
+
+    async parseFormats(metadata) {
+        this.log('ImageUploader parseFormats'); 
         this.log(metadata);
 
-        let result = {};
+        const error = (text, other = []) => ({
+            fields: [{ section: 'Error', field: 'Error', value: text, kind: 'error' }],
+            format: null,
+            parcer: null,
+            results: [],
+            other
+        });
 
         // Проверка на пустоту metadata
         if (!metadata || Object.keys(metadata).length === 0) {
-             result["Error"] = "No metadata found in image";
-             return result;
+             return error("No metadata found in image");
         }
 
-        try { 
-            if (metadata && metadata.parameters) {
-                const forge_parcer = new ForgeUI(metadata.parameters, {
+        const registry = this.options.registry || formatRegistry;
+        const candidates = registry.candidates(metadata);
+        this.log(`Format candidates: ${candidates.map(({ format, score }) => `${format.formatName} (${score})`).join(', ')}`);
+
+        // every format that recognizes the image, best match first;
+        // a chunk is shown by the first reader that understood it
+        const results = [];
+        const used = new Set();
+        for (const { format } of candidates) {
+            const names = (format.chunkNames || []).filter(name => metadata[name] !== undefined);
+            if (names.length > 0 && names.every(name => used.has(name))) continue;
+            try { 
+                const parcer = new format(format.getRaw(metadata), {
                     isDebugMode: this.options.isDebugMode,
-                    colors: this.options.colors
+                    chunks: metadata,
+                    nodeDefs: format.usesNodeDefs ? await this.getNodeDefs() : undefined
                 });
-                forge_parcer.run();
-                result = forge_parcer.output;
-                if (Object.keys(result).length > 0) return result;
+                parcer.run();
+                if (parcer.fields.length > 0) {
+                    names.forEach(name => used.add(name));
+                    results.push({ format, parcer, fields: parcer.fields, chunks: names });
+                }
+            } catch (error) {
+                const error_text = `Error in ${format.formatName} section `;
+                console.error(error_text, error);
+                // Не возвращаем сразу, пробуем другой вариант
             }
-        } catch (error) {
-            const error_text = "Error in parameters section ";
-            console.error(error_text, error);
-            // Не возвращаем сразу, пробуем другой вариант
         }
 
-        try { 
-            if (metadata && metadata.prompt) {
-                const comfy_parcer = new ComfyUI(metadata.prompt, {
-                    isDebugMode: this.options.isDebugMode,
-                    colors: this.options.colors
-                });
-                comfy_parcer.run();
-                result = comfy_parcer.output;
-                if (Object.keys(result).length > 0) return result;
-            }
-        } catch (error) {
-            const error_text = "Error in prompt section ";
-            console.error(error_text, error);
-        }
+        const other = this.otherChunkFields(metadata, used);
 
-        if (Object.keys(result).length === 0) {
-            result["Error"] = "None (Metadata exists but format unrecognized)";
-            // Для отладки покажем сырые данные, если есть
-            if(metadata.workflow) {
-                result["Raw Workflow"] = "Exists (ComfyUI Native)";
-            }
+        if (results.length > 0) {
+            const { fields, format, parcer } = results[0];
+            return { fields, format, parcer, results, other };
         }
 
-        return result;
+        return error("None (Metadata exists but format unrecognized)", other);
     }
 
-    createMetadataContainer(metadata) {
+    otherChunkFields(metadata, used) {
+        return Object.entries(metadata)
+            .filter(([name, value]) => !used.has(name) && value !== undefined && value !== null && `${value}` !== '')
+            .map(([name, value]) => ({
+                section: 'Parameters',
+                field: name,
+                value: `${value}`,
+                kind: BaseFormat.parseJSON(`${value}`) ? 'json' : 'text'
+            }));
+    }
+
+    createMetadataContainer(parsed, rawMetadata = {}, file = null) {
         this.log('ImageUploader createMetadataContainer'); 
 
         const container = document.createElement('div');
         container.className = 'image-metadata';
 
-        const metadataHTML = Object.entries(metadata || {}).flatMap(([header, value]) => {
-            const safeValue = value ?? '';
-            if (Array.isArray(safeValue)) {
-                return safeValue.map(item => 
-                    `${this.options.colors.color_header}${header}${this.options.colors.color_default}${item}`
-                );
-            } else {
-                return header == "Error" 
-                    ? `${this.options.colors.color_red}${safeValue}` 
-                    : `${this.options.colors.color_header}${header}${this.options.colors.color_default}${safeValue}`;
-            }
-        }).join('<br>');
+        // a section per detected source, the error goes without a title
+        const sections = (parsed.results || []).map(({ format, fields, chunks }) => ({
+            title: chunks.length > 0 ? `${format.formatName} (${chunks.join(', ')})` : format.formatName,
+            fields
+        }));
+        if (sections.length === 0) {
+            sections.push({ title: '', fields: parsed.fields });
+        }
+        if (parsed.other?.length > 0) {
+            sections.push({ title: 'Other chunks', fields: parsed.other });
+        }
+
+        container.appendChild(sections.length === 1
+            ? this.renderer.render(sections[0].fields)
+            : this.renderer.renderSections(sections));
 
-        container.innerHTML = metadataHTML;
+        const actions = this.createWorkflowActions(rawMetadata, file?.name || '');
+        this.addCopyActions(actions, parsed.fields);
+        this.addSamplerAction(actions, parsed.fields);
+        this.addEditAction(actions, file, rawMetadata, parsed.fields, parsed.format?.formatName);
+        if (actions.childElementCount > 0) {
+            container.prepend(actions);
+        }
 
         container.setAttribute('tabindex', '0');
         container.addEventListener('copy', (e) => {
@@ -351,9 +642,172 @@ export class ImageUploader {
         return container;
     }
 
+    getEmbeddedWorkflow(rawMetadata) {
+        // UI workflow first, the API prompt only if that's all there is
+        for (const type of ['workflow', 'prompt']) {
+            if (!rawMetadata || !rawMetadata[type]) continue;
+            const data = BaseFormat.parseJSON(rawMetadata[type]);
+            if (!data) {
+                this.log(`Embedded ${type} is not a JSON object`);
+                continue;
+            }
+            if (type === 'workflow' && !Array.isArray(data.nodes)) continue;
+            return { type, data };
+        }
+        return null;
+    }
+
+    createWorkflowActions(rawMetadata, fileName) {
+        const actions = document.createElement('div');
+        actions.className = 'image-metadata-actions';
+
+        const addButton = (text, title, onClick) => {
+            actions.appendChild(this.createActionButton(text, title, onClick));
+        };
+
+        const embedded = this.getEmbeddedWorkflow(rawMetadata);
+        if (embedded?.type === 'workflow') {
+            addButton('Load workflow', 'Replace the current workflow with the workflow from this image',
+                () => this.loadEmbeddedWorkflow(embedded, false, fileName));
+            addButton('Open in new tab', 'Open the workflow from this image in a new workflow tab',
+                () => this.loadEmbeddedWorkflow(embedded, true, fileName));
+        } else if (embedded?.type === 'prompt') {
+            // the frontend always opens an API prompt as a new workflow
+            addButton('Load API prompt', 'Open the API prompt from this image in a new workflow tab',
+                () => this.loadEmbeddedWorkflow(embedded, true, fileName));
+        }
+
+        if (ForgeUI.detect(rawMetadata) > 0) {
+            addButton('Build ComfyUI workflow', 'Convert Forge/A1111 parameters into a ComfyUI workflow',
+                () => this.buildWorkflowFromParameters(rawMetadata.parameters, fileName));
+        }
+
+        return actions;
+    }
+
+    createActionButton(text, title, onClick) {
+        const button = document.createElement('button');
+        button.className = 'image-metadata-button';
+        button.textContent = text;
+        button.title = title;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    // "copy all" buttons of the best reader
+    addCopyActions(actions, fields) {
+        if (!fields || fields.every(field => field.kind === 'error')) return;
+
+        if (fields.some(field => field.section === 'Prompts' && field.field === 'Prompt')) {
+            actions.appendChild(this.createActionButton('Copy parameters', 'Copy as A1111 parameters text (prompt, negative prompt, settings)',
+                () => this.copyText(toA1111Parameters(fields), 'Parameters')));
+        }
+        actions.appendChild(this.createActionButton('Copy JSON', 'Copy all fields as JSON',
+            () => this.copyText(JSON.stringify(toJSONObject(fields), null, 2), 'JSON')));
+    }
+
+    addSamplerAction(actions, fields) {
+        const names = ['Seed', 'Steps', 'CFG scale', 'Sampler', 'Schedule type', 'Denoising strength'];
+        if (!(fields || []).some(field => field.section === 'Parameters' && names.includes(field.field))) return;
+
+        actions.appendChild(this.createActionButton('Apply to selected sampler',
+            'Set seed, steps, CFG, sampler, scheduler and denoise of the selected KSampler / KSamplerAdvanced',
+            () => this.applySampler(fields)));
+    }
+
+    addEditAction(actions, file, rawMetadata, fields, formatName) {
+        if (!this.options.onEdit || !['image/png', 'image/jpeg'].includes(file?.type)) return;
+
+        actions.appendChild(this.createActionButton('Edit metadata',
+            'Change the fields or the raw text chunks and save them as a new file',
+            () => this.options.onEdit(file, rawMetadata, fields, formatName)));
+    }
+
+    applySampler(fields) {
+        this.log('ImageUploader applySampler');
+        try {
+            const { nodes, applied, warnings } = applySamplerSettings(fields);
+            const text = `${applied.join(', ') || 'Nothing'} applied to ${nodes.map(node => node.title).join(', ')}`;
+            if (warnings.length > 0) {
+                console.warn('PNGInfo: sampler settings', warnings);
+                this.showToast('warn', 'PNGInfo: applied with warnings', [text, ...warnings].join('\n'), 10000);
+            } else {
+                this.showToast('success', 'PNGInfo', text);
+            }
+        } catch (error) {
+            const error_text = `Failed to apply sampler settings`;
+            console.error(`${error_text}: `, error);
+            this.showToast('error', 'PNGInfo Failed', `${error_text}: ${error.message}`);
+        }
+    }
+
+    async buildWorkflowFromParameters(parameters, fileName) {
+        this.log('ImageUploader buildWorkflowFromParameters');
+        try {
+            const forge_parcer = new ForgeUI(parameters, {
+                isDebugMode: this.options.isDebugMode
+            });
+            forge_parcer.run();
+
+            const { prompt, warnings } = buildComfyPrompt(forge_parcer);
+            this.log(prompt);
+
+            await this.loadEmbeddedWorkflow({ type: 'prompt', data: prompt }, true, fileName);
+
+            if (warnings.length > 0) {
+                console.warn('PNGInfo: not translated parameters', warnings);
+                this.showToast('warn', 'PNGInfo: workflow built with warnings', warnings.join('\n'), 10000);
+            } else {
+                this.showToast('success', 'PNGInfo', 'Workflow built from parameters');
+            }
+        } catch (error) {
+            const error_text = `Error in buildWorkflowFromParameters`;
+            console.error(`${error_text}: `, error);
+            this.showToast('error', 'PNGInfo Failed', `Failed to build workflow: ${error.message}`);
+        }
+    }
+
+    async confirmDialog(title, message) {
+        if (app.extensionManager?.dialog?.confirm) {
+            return (await app.extensionManager.dialog.confirm({ title, message, type: 'overwrite' })) === true;
+        }
+        return window.confirm(message);
+    }
+
+    async loadEmbeddedWorkflow(embedded, newTab, fileName) {
+        this.log('ImageUploader loadEmbeddedWorkflow');
+        const name = (fileName || 'PNGInfo').replace(/\.[^.]+$/, '');
+        const workflowStore = app.extensionManager?.workflow;
+        const activeWorkflow = workflowStore?.activeWorkflow ?? null;
+
+        try {
+            if (embedded.type === 'prompt') {
+                await app.loadApiJson(embedded.data, name);
+                return;
+            }
+
+            if (newTab) {
+                await app.loadGraphData(embedded.data, true, true, name);
+                return;
+            }
+
+            const isModified = activeWorkflow ? activeWorkflow.isModified : false;
+            if (isModified) {
+                const confirmed = await this.confirmDialog('Load workflow', 'The current workflow has unsaved changes. Replace it with the workflow from this image?');
+                if (!confirmed) return;
+            }
+
+            await app.loadGraphData(embedded.data, true, true, activeWorkflow);
+        } catch (error) {
+            const error_text = `Error in loadEmbeddedWorkflow`;
+            console.error(`${error_text}: `, error);
+            this.showToast('error', 'PNGInfo Failed', `Failed to load workflow: ${error.message}`);
+        }
+    }
+
     addImageClickHandler() {
         this.log('ImageUploader addImageClickHandler'); 
-        const img = this.innerContainer.querySelector('img');
+        const img = this.innerContainer.querySelector('img.image-uploader-preview');
         if (img) {
             img.addEventListener('click', () => this.fileInput.click());
         }
@@ -370,6 +824,7 @@ export class ImageUploader {
     destroy() {
         this.log('ImageUploader destroy'); 
         this.clearPreviousImage();
+        this.setFiles([]);
         if(this.innerContainer) {
             this.innerContainer.innerHTML = '';
         }
@@ -380,8 +835,7 @@ export class ImageUploader {
         try {
             const arrayBuffer = await this.readFileAsArrayBuffer(file);
             const data = new DataView(arrayBuffer);
-            const metadata = this.getFromEXIFBuffer(data);
-            return this.parceMetadata(metadata);
+            return this.getFromEXIFBuffer(data) || {};
         } catch (error) {
             console.error('Error reading meta', error);
             throw error; 
@@ -390,45 +844,156 @@ export class ImageUploader {
 
     getFromEXIFBuffer(data) {
         this.log('ImageUploader getFromEXIFBuffer'); 
-        if ((data.getUint8(0) != 0xFF) || (data.getUint8(1) != 0xD8)) {
+        if ((data.byteLength < 4) || (data.getUint8(0) != 0xFF) || (data.getUint8(1) != 0xD8)) {
             return false;
         }
 
-        var offset = 2, length = data.byteLength, marker;
-        while (offset < length) {
-            if (data.getUint8(offset) != 0xFF) return false;
-            marker = data.getUint8(offset + 1);
-            if (marker == 225) {
-                return this.readEXIFData(data, offset + 4, data.getUint16(offset + 2) - 2);
-            } else {
-                offset += 2 + data.getUint16(offset+2);
+        const XMP_HEADER = 'http://ns.adobe.com/xap/1.0/\0';
+        const startsWith = (start, text) => (start + text.length <= data.byteLength) &&
+            this.decodeText(new Uint8Array(data.buffer, data.byteOffset + start, text.length), 'latin1') === text;
+
+        const exifList = [];
+        const xmpList = [];
+        const commentList = [];
+
+        let offset = 2;
+        const length = data.byteLength;
+        while (offset + 4 <= length) {
+            if (data.getUint8(offset) != 0xFF) {
+                this.log(`Invalid JPEG marker at ${offset}`);
+                break;
+            }
+            const marker = data.getUint8(offset + 1);
+
+            // fill bytes and markers without a length field
+            if (marker == 0xFF) { offset += 1; continue; }
+            if (marker == 0x01 || (marker >= 0xD0 && marker <= 0xD8)) { offset += 2; continue; }
+            // start of scan / end of image: no more metadata segments
+            if (marker == 0xDA || marker == 0xD9) break;
+
+            const start = offset + 4;
+            const size = data.getUint16(offset + 2) - 2;
+            if (size < 0 || start + size > length) {
+                console.warn(`Truncated JPEG segment: 0x${marker.toString(16)}`);
+                break;
+            }
+
+            try {
+                if (marker == 0xE1 && startsWith(start, 'Exif\0\0')) {
+                    exifList.push(this.readEXIFData(data, start));
+                } else if (marker == 0xE1 && startsWith(start, XMP_HEADER)) {
+                    const xmp = this.decodeText(new Uint8Array(data.buffer, data.byteOffset + start + XMP_HEADER.length, size - XMP_HEADER.length));
+                    xmpList.push(...this.readXMPPacket(xmp));
+                } else if (marker == 0xFE) {
+                    commentList.push(this.decodeText(new Uint8Array(data.buffer, data.byteOffset + start, size)));
+                }
+            } catch (error) {
+                console.error(`Error in JPEG segment 0x${marker.toString(16)}: `, error);
+            }
+
+            offset = start + size;
+        }
+
+        // EXIF first, then XMP, then COM segments
+        const metadata = {};
+        for (const exif of exifList) {
+            for (const [key, value] of Object.entries(exif)) {
+                if (!metadata[key]) metadata[key] = value;
             }
         }
+        for (const text of [...xmpList, ...commentList]) {
+            this.assignEXIFText(metadata, text);
+        }
+
+        this.log(`getFromEXIFBuffer result keys: ${Object.keys(metadata).join(', ')}`);
+        return metadata;
     } 
 
     readEXIFData(file, start) {
-        // ... (Ваш код EXIF без изменений)
+        if (this.decodeText(new Uint8Array(file.buffer, file.byteOffset + start, 4), 'ascii') != "Exif") {
+            return false;
+        }
+        return this.exifTagsToMetadata(this.readTIFFData(file, start + 6));
+    }
+
+    exifTagsToMetadata(tags) {
+        const metadata = {};
+        if (!tags) return metadata;
+
+        // ComfyUI SaveAnimatedWEBP stores "prompt:{...}" in Model and "workflow:{...}" in Make/ImageDescription
+        for (const tag of ["Model", "Make"]) {
+            this.assignEXIFText(metadata, tags[tag], true);
+        }
+        for (const tag of ["UserComment", "ImageDescription", "XPComment", "XPSubject", "XPTitle"]) {
+            this.assignEXIFText(metadata, tags[tag]);
+        }
+        return metadata;
+    }
+
+    assignEXIFText(metadata, text, jsonOnly = false) {
+        if (typeof text !== 'string') return;
+        const value = text.replace(/\0+$/g, '').trim();
+        if (!value) return;
+
+        const match = value.match(/^([A-Za-z_]\w*):\s*(\{[\s\S]*\})$/);
+        if (match) {
+            try {
+                JSON.parse(match[2]);
+                metadata[match[1].toLowerCase()] = match[2];
+                return;
+            } catch (error) {
+                this.log(`Not a JSON value in "${match[1]}"`);
+            }
+        }
+
+        if (!jsonOnly && !metadata.parameters) {
+            metadata.parameters = value;
+        }
+    }
+
+    readTIFFData(file, tiffOffset) {
         var EXIF = function(obj) {
             if (obj instanceof EXIF) return obj;
             if (!(this instanceof EXIF)) return new EXIF(obj);
             this.EXIFwrapped = obj;
         };
 
-        var TiffTags = EXIF.TiffTags = { 0x8769 : "ExifIFDPointer" };
+        var TiffTags = EXIF.TiffTags = {
+            0x010E : "ImageDescription",
+            0x010F : "Make",
+            0x0110 : "Model",
+            0x8769 : "ExifIFDPointer",
+            0x9C9B : "XPTitle",
+            0x9C9C : "XPComment",
+            0x9C9F : "XPSubject"
+        };
         var ExifTags = EXIF.Tags = { 0x9286 : "UserComment" };
 
-        function readTagValue(file, entryOffset, tiffStart, dirStart, bigEnd) {
+        // XP* tags are always UTF-16LE
+        var UTF16Tags = ["XPTitle", "XPComment", "XPSubject"];
+
+        function readTagValue(file, entryOffset, tiffStart, dirStart, bigEnd, tag) {
             var type = file.getUint16(entryOffset+2, !bigEnd),
                 numValues = file.getUint32(entryOffset+4, !bigEnd),
                 valueOffset = file.getUint32(entryOffset+8, !bigEnd) + tiffStart;
 
             switch (type) {
-                case 7: 
-                    if (numValues > 6) {
-                        return decodeUTF16(file, valueOffset, numValues);
+                case 1: // BYTE
+                case 7: // UNDEFINED
+                    var bytes = readBytes(file, numValues > 4 ? valueOffset : entryOffset + 8, numValues);
+                    if (!bytes) return undefined;
+                    if (tag == "UserComment") return decodeUserComment(bytes, bigEnd);
+                    if (UTF16Tags.includes(tag)) return decodeString(bytes, 'utf-16le');
+                    return bytes;
+                case 2: // ASCII, stored inline when it fits into 4 bytes
+                    var ascii = readBytes(file, numValues > 4 ? valueOffset : entryOffset + 8, numValues);
+                    return ascii ? decodeString(ascii, 'utf-8') : undefined;
+                case 3: // SHORT
+                    if (numValues == 1) {
+                        return file.getUint16(entryOffset + 8, !bigEnd);
                     }
                     break;
-                case 4: 
+                case 4: // LONG
                     if (numValues == 1) {
                         return file.getUint32(entryOffset + 8, !bigEnd);
                     } 
@@ -443,37 +1008,56 @@ export class ImageUploader {
 
             for (i=0;i<entries;i++) {
                 entryOffset = dirStart + i*12 + 2;
+                if (entryOffset + 12 > file.byteLength) break;
                 tag = strings[file.getUint16(entryOffset, !bigEnd)];
-                tags[tag] = readTagValue(file, entryOffset, tiffStart, dirStart, bigEnd);
+                if (!tag) continue;
+                tags[tag] = readTagValue(file, entryOffset, tiffStart, dirStart, bigEnd, tag);
             }
             return tags;
         }
 
-        function decodeAscii(buffer, start, length) {
-            const decoder = new TextDecoder('ascii'); 
-            const uint8Array = new Uint8Array(buffer.buffer, buffer.byteOffset + start, length);
-            return decoder.decode(uint8Array);
+        function readBytes(buffer, start, length) {
+            if (start + length > buffer.byteLength) return undefined;
+            return new Uint8Array(buffer.buffer, buffer.byteOffset + start, length);
         }
 
-        function decodeUTF16(buffer, start, length) {
-            const text = decodeAscii(buffer, start, 7);
-            if (text != "UNICODE") { 
-                return " ";
+        function decodeString(bytes, encoding) {
+            return new TextDecoder(encoding).decode(bytes).replace(/[\x00\uFFFD]+$/g, '').trim();
+        }
+
+        function decodeUTF16(bytes, bigEnd) {
+            // BOM first, otherwise guess by the position of zero bytes (latin text: "\0a" is BE, "a\0" is LE)
+            if (bytes[0] == 0xFE && bytes[1] == 0xFF) return decodeString(bytes.subarray(2), 'utf-16be');
+            if (bytes[0] == 0xFF && bytes[1] == 0xFE) return decodeString(bytes.subarray(2), 'utf-16le');
+
+            var evenZeros = 0, oddZeros = 0;
+            for (var i = 0; i + 1 < bytes.length; i += 2) {
+                if (bytes[i] == 0) evenZeros++;
+                if (bytes[i + 1] == 0) oddZeros++;
             }
-            const utf16Decoder = new TextDecoder('utf-16le');
-            const textStart = start + 7; 
-            const textLength = length - 7; 
-            if (textLength <= 0) return " "; 
-            
-            const uint8Array = new Uint8Array(buffer.buffer, buffer.byteOffset + textStart, textLength);
-            return utf16Decoder.decode(uint8Array).replace(/[\x00\uFFFD]+$/g, '').trim();
+            var isBE = evenZeros == oddZeros ? bigEnd : evenZeros > oddZeros;
+            return decodeString(bytes, isBE ? 'utf-16be' : 'utf-16le');
         }
 
-        if (decodeAscii(file, start, 4) != "Exif") {
-            return false;
+        function decodeUserComment(bytes, bigEnd) {
+            // 8 byte character code prefix, see EXIF 2.3 "UserComment"
+            var prefix = new TextDecoder('latin1').decode(bytes.subarray(0, 8));
+            var text = bytes.subarray(8);
+
+            if (prefix == "UNICODE\0") return decodeUTF16(text, bigEnd);
+            if (prefix == "ASCII\0\0\0") return decodeString(text, 'utf-8');
+            if (prefix == "JIS\0\0\0\0\0") return decodeString(text, 'shift_jis');
+            if (prefix == "\0\0\0\0\0\0\0\0") return decodeString(text, 'utf-8');
+
+            // no prefix at all, some tools write plain text
+            return decodeString(bytes, 'utf-8');
         }
 
-        var bigEnd, tags = {}, tag, tiffOffset = start + 6;
+        var bigEnd, tags = {};
+
+        if (tiffOffset + 8 > file.byteLength) {
+            return false;
+        }
 
         if (file.getUint16(tiffOffset) == 0x4949) {
             bigEnd = false;
@@ -488,17 +1072,213 @@ export class ImageUploader {
         }
 
         var firstIFDOffset = file.getUint32(tiffOffset+4, !bigEnd);
-        if (firstIFDOffset < 0x00000008) {
+        if (firstIFDOffset < 0x00000008 || tiffOffset + firstIFDOffset + 2 > file.byteLength) {
             return false;
         }
 
         const tiff = readTags(file, tiffOffset, tiffOffset + firstIFDOffset, TiffTags, bigEnd);
-        if (tiff.ExifIFDPointer) {
+        Object.assign(tags, tiff);
+        if (tiff.ExifIFDPointer && tiffOffset + tiff.ExifIFDPointer + 2 <= file.byteLength) {
             const exifData = readTags(file, tiffOffset, tiffOffset + tiff.ExifIFDPointer, ExifTags, bigEnd);
-            for (tag in exifData) {
-                tags["parameters"] = exifData[tag];
-            }
+            Object.assign(tags, exifData);
         }
         return tags;
     }
-}
\ No newline at end of file
+
+    // --- stealth pnginfo: metadata in the least significant bits of alpha or RGB ---
+    async readStealthMetadata(file) {
+        this.log('ImageUploader readStealthMetadata');
+        try {
+            const pixels = await this.readPixels(file);
+
+            const signatures = {
+                alpha: { 'stealth_pnginfo': false, 'stealth_pngcomp': true },
+                rgb: { 'stealth_rgbinfo': false, 'stealth_rgbcomp': true }
+            };
+
+            for (const mode of ['alpha', 'rgb']) {
+                const reader = this.createStealthReader(pixels, mode);
+                const signature = this.decodeText(reader.readBytes(15), 'latin1');
+                if (!(signature in signatures[mode])) continue;
+
+                const compressed = signatures[mode][signature];
+                const bitLength = reader.readUint32();
+                if (bitLength === 0 || bitLength % 8 !== 0 || bitLength > reader.remaining()) {
+                    // a signature by chance in the alpha bits: the RGB mode may still have the data
+                    console.warn(`Invalid stealth data length: ${bitLength}`);
+                    continue;
+                }
+
+                let bytes = reader.readBytes(bitLength / 8);
+                if (compressed) {
+                    bytes = await this.decompress(bytes, 'gzip');
+                }
+
+                this.log(`Found stealth metadata: ${signature}`);
+                return this.stealthTextToMetadata(this.decodeText(bytes));
+            }
+        } catch (error) {
+            console.error('Error reading stealth metadata: ', error);
+        }
+        return {};
+    }
+
+    async readPixels(file) {
+        const bitmap = await createImageBitmap(file, { premultiplyAlpha: 'none', colorSpaceConversion: 'none' });
+        try {
+            const { width, height } = bitmap;
+            const canvas = typeof OffscreenCanvas !== 'undefined'
+                ? new OffscreenCanvas(width, height)
+                : Object.assign(document.createElement('canvas'), { width, height });
+            const ctx = canvas.getContext('2d', { willReadFrequently: true });
+            ctx.drawImage(bitmap, 0, 0);
+            return { data: ctx.getImageData(0, 0, width, height).data, width, height };
+        } finally {
+            bitmap.close();
+        }
+    }
+
+    createStealthReader({ data, width, height }, mode) {
+        // bits go column by column (x outer, y inner); 1 bit per pixel in alpha mode, 3 in RGB mode
+        const bitsPerPixel = mode === 'alpha' ? 1 : 3;
+        const total = width * height * bitsPerPixel;
+        let position = 0;
+
+        const readBit = () => {
+            const pixel = Math.floor(position / bitsPerPixel);
+            const channel = mode === 'alpha' ? 3 : position % bitsPerPixel;
+            const x = Math.floor(pixel / height);
+            const y = pixel % height;
+            position++;
+            return data[(y * width + x) * 4 + channel] & 1;
+        };
+
+        return {
+            remaining: () => total - position,
+            readBytes: (count) => {
+                const bytes = new Uint8Array(count);
+                for (let i = 0; i < count && position + 8 <= total; i++) {
+                    let byte = 0;
+                    for (let bit = 0; bit < 8; bit++) {
+                        byte = (byte << 1) | readBit();
+                    }
+                    bytes[i] = byte;
+                }
+                return bytes;
+            },
+            readUint32: () => {
+                let value = 0;
+                for (let bit = 0; bit < 32 && position < total; bit++) {
+                    value = value * 2 + readBit();
+                }
+                return value;
+            }
+        };
+    }
+
+    stealthTextToMetadata(text) {
+        // NovelAI stores a JSON with the same keys as its PNG chunks, A1111 stores the parameters text
+        try {
+            const json = JSON.parse(text);
+            if (json && typeof json === 'object' && !Array.isArray(json)) {
+                const metadata = {};
+                for (const [key, value] of Object.entries(json)) {
+                    metadata[key.trim().toLowerCase()] = typeof value === 'string' ? value : JSON.stringify(value);
+                }
+                return metadata;
+            }
+        } catch (error) {
+            this.log('Stealth metadata is not a JSON');
+        }
+        return { parameters: text };
+    }
+
+    async readWEBPMetadata(file) {
+        this.log('ImageUploader readWEBPMetadata');
+        try {
+            const arrayBuffer = await this.readFileAsArrayBuffer(file);
+            const data = new DataView(arrayBuffer);
+            return this.getFromWEBPBuffer(data);
+        } catch (error) {
+            console.error('Error reading meta', error);
+            throw error; 
+        }
+    }
+
+    getFromWEBPBuffer(data) {
+        this.log('ImageUploader getFromWEBPBuffer');
+        const fourCC = (offset) => this.decodeText(new Uint8Array(data.buffer, data.byteOffset + offset, 4), 'ascii');
+
+        if (data.byteLength < 12 || fourCC(0) !== 'RIFF' || fourCC(8) !== 'WEBP') {
+            console.warn("Not a valid WebP file");
+            return {};
+        }
+
+        const metadata = {};
+        let offset = 12;
+
+        // RIFF chunks: FourCC, size (little-endian), data padded to an even length
+        while (offset + 8 <= data.byteLength) {
+            const type = fourCC(offset);
+            const size = data.getUint32(offset + 4, true);
+            const start = offset + 8;
+
+            if (start + size > data.byteLength) {
+                console.warn(`Truncated WebP chunk: ${type}`);
+                break;
+            }
+
+            this.log(`Found WebP chunk: "${type}" (${size} bytes)`);
+
+            if (type === 'EXIF') {
+                // some writers keep the JPEG "Exif\0\0" header, others start with the TIFF header
+                const tiffOffset = fourCC(start) === 'Exif' ? start + 6 : start;
+                const exif = this.exifTagsToMetadata(this.readTIFFData(data, tiffOffset));
+                for (const [key, value] of Object.entries(exif)) {
+                    if (!metadata[key]) metadata[key] = value;
+                }
+            } else if (type === 'XMP ') {
+                const xmp = this.decodeText(new Uint8Array(data.buffer, data.byteOffset + start, size));
+                for (const text of this.readXMPPacket(xmp)) {
+                    this.assignEXIFText(metadata, text);
+                }
+            }
+
+            offset = start + size + (size & 1);
+        }
+
+        this.log(`getFromWEBPBuffer result keys: ${Object.keys(metadata).join(', ')}`);
+        return metadata;
+    }
+
+    readXMPPacket(xmp) {
+        const texts = [];
+        const tags = ['exif:UserComment', 'dc:description', 'tiff:ImageDescription'];
+
+        const unescapeXML = (text) => text
+            .replace(/&#x([0-9a-f]+);/gi, (m, hex) => String.fromCodePoint(parseInt(hex, 16)))
+            .replace(/&#(\d+);/g, (m, dec) => String.fromCodePoint(parseInt(dec, 10)))
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&apos;/g, "'")
+            .replace(/&amp;/g, '&');
+
+        for (const tag of tags) {
+            // element form: <exif:UserComment><rdf:Alt><rdf:li>text</rdf:li></rdf:Alt></exif:UserComment>
+            const element = new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, 'g');
+            for (const match of xmp.matchAll(element)) {
+                const items = [...match[1].matchAll(/<rdf:li[^>]*>([\s\S]*?)<\/rdf:li>/g)];
+                const text = items.length > 0 ? items[0][1] : match[1].replace(/<[^>]+>/g, '');
+                texts.push(unescapeXML(text));
+            }
+            // attribute form: exif:UserComment="text"
+            const attribute = new RegExp(`\\s${tag}="([^"]*)"`, 'g');
+            for (const match of xmp.matchAll(attribute)) {
+                texts.push(unescapeXML(match[1]));
+            }
+        }
+
+        return texts.filter(text => text.trim() !== '');
+    }
+}
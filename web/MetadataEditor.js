@@ -0,0 +1,250 @@
+import BaseFormat from "./read_prompt_base.js";
+import { toA1111Parameters } from "./parameters_text.js";
+import { writeMetadata } from "./metadata_writer.js";
+import ForgeUI from "./read_prompt_forge.js";
+
+// chunks the readers parse as JSON, saving a broken one would lose the workflow
+const JSON_CHUNKS = ['prompt', 'workflow'];
+
+// fields edited one by one, written back as A1111 "parameters"
+const FIELD_SECTIONS = ['Prompts', 'Parameters'];
+
+// edit mode: fields and raw text chunks -> a new PNG / JPEG file, downloaded and read back
+export class MetadataEditor {
+    constructor(containerEl, options = {}) {
+        this.container = containerEl;
+        this.options = { ...options };
+        // ImageUploader reads the saved file back
+        this.uploader = options.uploader;
+        this.file = null;
+        this.fields = [];
+        this.texts = new Map();
+        this.log('MetadataEditor constructor');
+    }
+
+    init() {
+        this.log('MetadataEditor init');
+        this.createElements();
+    }
+
+    log(...args) {
+        if (this.options.isDebugMode) {
+            console.log(...args);
+        }
+    }
+
+    createElements() {
+        this.log('MetadataEditor createElements');
+        this.element = document.createElement('div');
+        this.element.className = 'metadata-editor';
+
+        const actions = document.createElement('div');
+        actions.className = 'image-metadata-actions';
+        this.title = document.createElement('span');
+        this.title.className = 'metadata-editor-title my-color-default';
+        actions.append(
+            this.createButton('Save as new file', 'Write the metadata into a copy of the image and download it', () => this.save()),
+            this.createButton('Cancel', 'Back to the image', () => this.close()),
+            this.title
+        );
+
+        this.fieldsBlock = document.createElement('div');
+        this.fieldsBlock.className = 'metadata-editor-block';
+
+        this.textsBlock = document.createElement('div');
+        this.textsBlock.className = 'metadata-editor-block';
+
+        // PNG only: a new text chunk
+        this.addRow = document.createElement('div');
+        this.addRow.className = 'image-metadata-actions';
+        this.newKeyInput = document.createElement('input');
+        this.newKeyInput.className = 'metadata-editor-key';
+        this.newKeyInput.placeholder = 'New chunk name';
+        this.addRow.append(this.newKeyInput, this.createButton('Add chunk', 'Add a text chunk with this name', () => this.addChunk()));
+
+        this.element.append(actions, this.fieldsBlock, this.textsBlock, this.addRow);
+        this.container.appendChild(this.element);
+    }
+
+    createButton(text, title, onClick) {
+        const button = document.createElement('button');
+        button.className = 'image-metadata-button';
+        button.textContent = text;
+        button.title = title;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    createLabel(text) {
+        const label = document.createElement('div');
+        label.className = 'metadata-editor-label my-color-header';
+        label.textContent = text;
+        return label;
+    }
+
+    // rawMetadata - the chunks as ImageUploader read them, fields - of the best reader,
+    // formatName - that reader's name
+    open(file, rawMetadata = {}, fields = [], formatName = null) {
+        this.log('MetadataEditor open');
+        if (file.type !== 'image/png' && file.type !== 'image/jpeg') {
+            throw new Error('Only PNG and JPEG files can be edited');
+        }
+        this.file = file;
+        this.title.textContent = file.name;
+        this.texts = new Map();
+        this.textsBlock.replaceChildren();
+
+        this.createFieldInputs(fields, formatName);
+
+        if (file.type === 'image/jpeg') {
+            // JPEG keeps one text: EXIF UserComment, read as "parameters"
+            this.addTextArea('parameters', rawMetadata.parameters ?? '', 'EXIF UserComment');
+        } else {
+            for (const [key, value] of Object.entries(rawMetadata)) {
+                this.addTextArea(key, `${value ?? ''}`);
+            }
+        }
+        this.addRow.hidden = file.type !== 'image/png';
+    }
+
+    // the fields come back only as A1111 "parameters": for other readers (ComfyUI prompt/workflow...)
+    // such a chunk would contradict the source they were read from, they are shown read only
+    createFieldInputs(fields, formatName = null) {
+        const seen = new Set();
+        this.fields = (fields || [])
+            .filter(field => field.section === 'LoRA' || FIELD_SECTIONS.includes(field.section))
+            .filter(field => {
+                const key = `${field.section}/${field.field}/${field.kind === 'lora' ? field.value : ''}`;
+                if (seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            })
+            .map(field => ({ ...field }));
+
+        const editable = this.fields.filter(field => FIELD_SECTIONS.includes(field.section));
+        if (editable.length === 0) {
+            this.fieldsBlock.replaceChildren();
+            return;
+        }
+
+        const readOnly = formatName !== ForgeUI.formatName;
+        this.fieldsBlock.replaceChildren(
+            this.createLabel(readOnly
+                ? `Fields (read only, ${formatName || 'unknown format'}: edit the chunks below)`
+                : 'Fields (saved as A1111 parameters)'),
+            ...editable.map(field => {
+                const row = document.createElement('label');
+                row.className = 'metadata-editor-field';
+                const name = document.createElement('span');
+                name.className = 'my-color-header';
+                name.textContent = field.field;
+
+                const input = document.createElement(field.section === 'Prompts' ? 'textarea' : 'input');
+                input.value = field.value;
+                if (field.section === 'Prompts') input.rows = 3;
+                input.readOnly = readOnly;
+                if (!readOnly) {
+                    input.addEventListener('input', () => {
+                        field.value = input.value;
+                        this.updateParameters();
+                    });
+                }
+
+                row.append(name, input);
+                return row;
+            })
+        );
+    }
+
+    // a field was changed: the "parameters" text follows
+    updateParameters() {
+        const text = toA1111Parameters(this.fields);
+        if (!this.texts.has('parameters')) {
+            this.addTextArea('parameters', '');
+        }
+        this.texts.get('parameters').value = text;
+    }
+
+    addTextArea(key, value, title = key) {
+        const textarea = document.createElement('textarea');
+        textarea.className = 'metadata-editor-text';
+        textarea.value = value;
+        textarea.rows = Math.min(12, Math.max(2, value.split('\n').length));
+        textarea.spellcheck = false;
+        this.texts.set(key, textarea);
+        this.textsBlock.append(this.createLabel(title), textarea);
+        return textarea;
+    }
+
+    addChunk() {
+        const key = this.newKeyInput.value.trim();
+        if (!key) return;
+        if ([...this.texts.keys()].some(name => name.toLowerCase() === key.toLowerCase())) {
+            this.uploader.showToast('warn', 'PNGInfo', `The chunk "${key}" is already there`);
+            return;
+        }
+        this.newKeyInput.value = '';
+        this.addTextArea(key, '').focus();
+    }
+
+    // empty text - the chunk is removed
+    collectTexts() {
+        const texts = {};
+        for (const [key, textarea] of this.texts) {
+            const value = textarea.value;
+            if (value.trim() && JSON_CHUNKS.includes(key.toLowerCase()) && !BaseFormat.parseJSON(value)) {
+                throw new Error(`"${key}" is not a valid JSON`);
+            }
+            texts[key] = value;
+        }
+        return texts;
+    }
+
+    async save() {
+        this.log('MetadataEditor save');
+        try {
+            const texts = this.collectTexts();
+            const fileName = this.file.name.replace(/(\.[^.]*)?$/, (extension) => `_edited${extension}`);
+            const file = await writeMetadata(this.file, texts, fileName);
+            this.download(file);
+
+            // read back: every text must come out as it was written
+            const { rawMetadata } = await this.uploader.loadMetadata(file);
+            const different = Object.entries(texts)
+                .filter(([key, value]) => `${rawMetadata[key.toLowerCase()] ?? ''}`.trim() !== value.trim())
+                .map(([key]) => key);
+            if (different.length > 0) {
+                this.uploader.showToast('warn', 'PNGInfo: saved with differences',
+                    `${fileName}: ${different.join(', ')} read back differently`, 10000);
+            } else {
+                this.uploader.showToast('success', 'PNGInfo', `${fileName} saved and read back`);
+            }
+            this.options.onSaved?.(file);
+        } catch (error) {
+            const error_text = `Failed to save metadata`;
+            console.error(`${error_text}: `, error);
+            this.uploader.showToast('error', 'PNGInfo Failed', `${error_text}: ${error.message}`);
+        }
+    }
+
+    download(file) {
+        const url = URL.createObjectURL(file);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = file.name;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    close() {
+        this.log('MetadataEditor close');
+        this.options.onClose?.();
+    }
+
+    destroy() {
+        this.log('MetadataEditor destroy');
+        if (this.element) {
+            this.element.remove();
+        }
+    }
+}
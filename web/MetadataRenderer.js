@@ -0,0 +1,153 @@
+// fields from the format readers -> DOM, text is never parsed as HTML
+
+const KIND_CLASS = {
+    number: 'my-color-int',
+    file:   'my-color-file',
+    error:  'my-color-red',
+};
+
+// these sections go one after another without a title
+const UNTITLED_SECTIONS = ['Prompts', 'LoRA', 'Parameters', 'Error'];
+
+export class MetadataRenderer {
+    constructor(options = {}) {
+        this.options = { ...options };
+    }
+
+    log(...args) {
+        if (this.options.isDebugMode) {
+            console.log(...args);
+        }
+    }
+
+    render(fields) {
+        this.log('MetadataRenderer render');
+
+        const lines = [];
+        let section = null;
+        let previous = null;
+
+        for (const field of fields || []) {
+            if (field.section !== section) {
+                section = field.section;
+                if (!UNTITLED_SECTIONS.includes(section)) {
+                    if (lines.length > 0) lines.push([]);
+                    lines.push([this.span('my-color-header', `${section}:`)]);
+                }
+            }
+
+            const copy = this.copyButton(field);
+
+            if (field.kind === 'lora') {
+                // one header for the whole list, a tag per line
+                if (previous?.kind !== 'lora' || previous.section !== field.section) {
+                    lines.push([this.span('my-color-header', `${field.field}:`)]);
+                }
+                lines.push([...this.renderLora(field.value), ...copy]);
+            } else if (field.kind === 'error' && field.field === 'Error') {
+                lines.push([this.span('my-color-red', field.value)]);
+            } else if (field.kind === 'prompt') {
+                lines.push([this.span('my-color-header', `${field.field}:`), ...copy, ...this.sendButton(field)]);
+                lines.push([this.span('my-color-default', field.value)]);
+            } else {
+                lines.push([
+                    this.span('my-color-header', `${field.field}: `),
+                    this.span(KIND_CLASS[field.kind] || 'my-color-default', field.value),
+                    ...copy
+                ]);
+            }
+
+            previous = field;
+        }
+
+        const fragment = document.createDocumentFragment();
+        lines.forEach((line, index) => {
+            if (index > 0) fragment.appendChild(document.createElement('br'));
+            fragment.append(...line);
+        });
+        return fragment;
+    }
+
+    // collapsible section per source, only the first one is open
+    renderSections(sections) {
+        this.log('MetadataRenderer renderSections');
+
+        const fragment = document.createDocumentFragment();
+        let opened = false;
+        sections.forEach(({ title, fields }) => {
+            if (!title) {
+                const block = document.createElement('div');
+                block.appendChild(this.render(fields));
+                fragment.appendChild(block);
+                return;
+            }
+
+            const details = document.createElement('details');
+            details.className = 'image-metadata-section';
+            details.open = !opened;
+            opened = true;
+
+            const summary = document.createElement('summary');
+            summary.className = 'image-metadata-section-title my-color-header';
+            summary.textContent = title;
+
+            const body = document.createElement('div');
+            body.appendChild(this.render(fields));
+
+            details.append(summary, body);
+            fragment.appendChild(details);
+        });
+        return fragment;
+    }
+
+    // [] when there is nowhere to copy to (compare, folder table)
+    copyButton(field) {
+        if (!this.options.onCopy) return [];
+        const button = document.createElement('span');
+        button.className = 'image-metadata-copy pi pi-copy';
+        button.title = `Copy ${field.field}`;
+        button.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.options.onCopy(field.value, field.field);
+        });
+        return [button];
+    }
+
+    // prompt -> selected node on the canvas
+    sendButton(field) {
+        if (!this.options.onSend) return [];
+        const button = document.createElement('span');
+        button.className = 'image-metadata-copy pi pi-sign-in';
+        button.title = `Send ${field.field} to the selected node (or to a new CLIPTextEncode)`;
+        button.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.options.onSend(field.value, field.field);
+        });
+        return [button];
+    }
+
+    span(className, text) {
+        const span = document.createElement('span');
+        span.className = className;
+        span.textContent = text;
+        return span;
+    }
+
+    // <lora:name:weight> with colored name and weight
+    renderLora(tag) {
+        const match = /^<(.*?):(.*?)(?::([^:]*?))?>$/.exec(tag);
+        if (!match) {
+            return [this.span('my-color-default', tag)];
+        }
+        const [, prefix, name, weight] = match;
+        const nodes = [
+            this.span('my-color-default', `<${prefix}:`),
+            this.span('my-color-file', name)
+        ];
+        if (weight !== undefined) {
+            nodes.push(this.span('my-color-default', ':'), this.span('my-color-int', weight));
+        }
+        nodes.push(this.span('my-color-default', '>'));
+        return nodes;
+    }
+}
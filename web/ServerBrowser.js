@@ -0,0 +1,145 @@
+import { listHistoryImages, listFolderImages, viewURL, fetchImageFile } from "./server_images.js";
+
+const PAGE_SIZE = 24;
+
+const SOURCES = [
+    { value: 'history', title: 'Queue history' },
+    { value: 'output',  title: 'Output folder' },
+    { value: 'input',   title: 'Input folder' },
+];
+
+// images of the ComfyUI server with thumbnails, click -> ImageUploader
+export class ServerBrowser {
+    constructor(containerEl, options = {}) {
+        this.container = containerEl;
+        this.options = { ...options };
+        this.uploader = options.uploader;
+        this.source = 'history';
+        this.images = [];
+        this.page = 0;
+        this.loadToken = 0;
+        this.log('ServerBrowser constructor');
+    }
+
+    init() {
+        this.log('ServerBrowser init');
+        this.createElements();
+    }
+
+    log(...args) {
+        if (this.options.isDebugMode) {
+            console.log(...args);
+        }
+    }
+
+    createElements() {
+        this.log('ServerBrowser createElements');
+        this.element = document.createElement('div');
+        this.element.className = 'server-browser';
+
+        const toolbar = document.createElement('div');
+        toolbar.className = 'image-metadata-actions';
+
+        this.sourceSelect = document.createElement('select');
+        this.sourceSelect.className = 'server-browser-source';
+        for (const { value, title } of SOURCES) {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = title;
+            this.sourceSelect.appendChild(option);
+        }
+        this.sourceSelect.addEventListener('change', () => {
+            this.source = this.sourceSelect.value;
+            this.load();
+        });
+
+        const refreshButton = this.createButton('Refresh', 'Reload the list', () => this.load());
+        this.prevButton = this.createButton('‹', 'Previous page', () => this.showPage(this.page - 1));
+        this.nextButton = this.createButton('›', 'Next page', () => this.showPage(this.page + 1));
+
+        this.status = document.createElement('span');
+        this.status.className = 'server-browser-status my-color-default';
+
+        toolbar.append(this.sourceSelect, refreshButton, this.prevButton, this.status, this.nextButton);
+
+        this.grid = document.createElement('div');
+        this.grid.className = 'server-browser-grid';
+
+        this.element.append(toolbar, this.grid);
+        this.container.appendChild(this.element);
+    }
+
+    createButton(text, title, onClick) {
+        const button = document.createElement('button');
+        button.className = 'image-metadata-button';
+        button.textContent = text;
+        button.title = title;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    async load() {
+        this.log(`ServerBrowser load ${this.source}`);
+        const token = ++this.loadToken;
+        this.status.textContent = 'Loading...';
+        this.grid.replaceChildren();
+        try {
+            const { images, note } = this.source === 'history'
+                ? { images: await listHistoryImages(), note: null }
+                : await listFolderImages(this.source);
+            if (token !== this.loadToken) return;
+            this.images = images;
+            this.showPage(0);
+            if (note) {
+                this.uploader.showToast('warn', 'PNGInfo', note, 10000);
+            }
+        } catch (error) {
+            if (token !== this.loadToken) return;
+            const error_text = `Error in ServerBrowser load`;
+            console.error(`${error_text}: `, error);
+            this.images = [];
+            this.status.textContent = error.message;
+        }
+    }
+
+    showPage(page) {
+        const pages = Math.max(1, Math.ceil(this.images.length / PAGE_SIZE));
+        this.page = Math.min(Math.max(0, page), pages - 1);
+        this.prevButton.disabled = this.page === 0;
+        this.nextButton.disabled = this.page >= pages - 1;
+        this.status.textContent = this.images.length === 0
+            ? 'No images'
+            : `${this.page + 1} / ${pages} (${this.images.length})`;
+
+        const images = this.images.slice(this.page * PAGE_SIZE, (this.page + 1) * PAGE_SIZE);
+        this.grid.replaceChildren(...images.map(image => {
+            const img = document.createElement('img');
+            img.className = 'server-browser-item';
+            img.src = viewURL(image, true);
+            img.loading = 'lazy';
+            img.title = image.subfolder ? `${image.subfolder}/${image.filename}` : image.filename;
+            img.addEventListener('click', () => this.open(image));
+            return img;
+        }));
+    }
+
+    async open(image) {
+        this.log('ServerBrowser open');
+        try {
+            const file = await fetchImageFile(image);
+            this.options.onOpen?.(file);
+        } catch (error) {
+            const error_text = `Error in ServerBrowser open`;
+            console.error(`${error_text}: `, error);
+            this.uploader.showToast('error', 'PNGInfo Failed', `${error_text}: ${error.message}`);
+        }
+    }
+
+    destroy() {
+        this.log('ServerBrowser destroy');
+        this.loadToken++;
+        if (this.element) {
+            this.element.remove();
+        }
+    }
+}
@@ -0,0 +1,181 @@
+import { app } from "../../../scripts/app.js";
+import { mapSampler } from "./sampler_map.js";
+
+// sidebar -> current workflow: changes go through the change tracker, so Ctrl+Z undoes them
+
+// text widgets a prompt can go to, when the node has no multiline one
+const TEXT_WIDGET_NAMES = ['text', 'prompt', 'text_g', 'text_l', 'positive', 'negative'];
+
+function trackChange(action) {
+    const tracker = app.extensionManager?.workflow?.activeWorkflow?.changeTracker;
+    tracker?.beforeChange?.();
+    try {
+        return action();
+    } finally {
+        if (tracker?.afterChange) {
+            tracker.afterChange();
+        } else {
+            tracker?.checkState?.();
+        }
+        app.graph.setDirtyCanvas(true, true);
+    }
+}
+
+export function selectedNodes() {
+    return Object.values(app.canvas?.selected_nodes || {});
+}
+
+function setWidgetValue(node, widget, value) {
+    widget.value = value;
+    widget.callback?.(value, app.canvas, node);
+}
+
+export function findTextWidget(node) {
+    // combos have string values too
+    const widgets = (node.widgets || []).filter(widget => typeof widget.value === 'string' && !widget.options?.values);
+    return widgets.find(widget => widget.type === 'customtext')
+        || widgets.find(widget => TEXT_WIDGET_NAMES.includes(widget.name))
+        || null;
+}
+
+// center of the visible part of the canvas
+function visibleCenter(size) {
+    const [x, y, width, height] = app.canvas?.visible_area || [0, 0, 0, 0];
+    return [x + (width - size[0]) / 2, y + (height - size[1]) / 2];
+}
+
+// into the first selected node with a text widget, or into a new CLIPTextEncode
+export function sendTextToCanvas(text, title = '') {
+    return trackChange(() => {
+        for (const node of selectedNodes()) {
+            const widget = findTextWidget(node);
+            if (widget) {
+                setWidgetValue(node, widget, text);
+                return { node, widget: widget.name, created: false };
+            }
+        }
+
+        const node = window.LiteGraph.createNode('CLIPTextEncode');
+        if (!node) {
+            throw new Error('CLIPTextEncode node is not available');
+        }
+        if (title) node.title = title;
+        node.pos = visibleCenter(node.size);
+        app.graph.add(node);
+
+        const widget = findTextWidget(node);
+        if (widget) setWidgetValue(node, widget, text);
+        app.canvas.selectNode?.(node);
+
+        return { node, widget: widget?.name, created: true };
+    });
+}
+
+// --- sampler settings ---
+
+// field -> widget; KSamplerAdvanced calls the seed "noise_seed" and has no denoise
+const SAMPLER_NUMBERS = [
+    { field: 'Seed', widgets: ['seed', 'noise_seed'] },
+    { field: 'Steps', widgets: ['steps'] },
+    { field: 'CFG scale', widgets: ['cfg'] },
+    { field: 'Denoising strength', widgets: ['denoise'] },
+];
+
+export function isSamplerNode(node) {
+    const names = (node.widgets || []).map(widget => widget.name);
+    return names.includes('sampler_name') && names.includes('scheduler');
+}
+
+// several samplers can be selected, the warnings say which one
+function nodeLabel(node) {
+    return `${node.title || node.type} #${node.id}`;
+}
+
+function findWidget(node, names) {
+    return (node.widgets || []).find(widget => names.includes(widget.name));
+}
+
+// Seed, Steps, CFG scale, Sampler, Schedule type, Denoising strength -> the selected KSampler(s)
+export function applySamplerSettings(fields) {
+    const nodes = selectedNodes().filter(isSamplerNode);
+    if (nodes.length === 0) {
+        throw new Error('Select a KSampler or KSamplerAdvanced node');
+    }
+
+    const params = {};
+    for (const field of fields || []) {
+        if (field.section === 'Parameters' && !(field.field in params)) params[field.field] = field.value;
+    }
+
+    const warnings = [];
+    const applied = new Set();
+
+    // A1111 / Forge txt2img with hires fix: the denoise belongs to the hires pass, not to the base sampler
+    if (params['Denoising strength'] !== undefined && Object.keys(params).some(key => key.startsWith('Hires '))) {
+        warnings.push(`Denoising strength ${params['Denoising strength']} is the denoise of the hires pass, not applied`);
+        delete params['Denoising strength'];
+    }
+
+    trackChange(() => {
+        for (const node of nodes) {
+            const nodeWarnings = [];
+            for (const { field, widgets } of SAMPLER_NUMBERS) {
+                if (params[field] === undefined) continue;
+                const value = Number(params[field]);
+                const widget = findWidget(node, widgets);
+                if (!Number.isFinite(value)) {
+                    warnings.push(`${field} "${params[field]}" is not a number`);
+                } else if (widget) {
+                    setWidgetValue(node, widget, value);
+                    applied.add(field);
+                } else if (!(field === 'Denoising strength' && value === 1)) {
+                    nodeWarnings.push(`no widget for ${field}`);
+                }
+            }
+
+            if (params['Sampler'] !== undefined) {
+                applySampler(node, params['Sampler'], params['Schedule type'] || '', applied, nodeWarnings);
+            }
+            warnings.push(...nodeWarnings.map(warning => `${nodeLabel(node)}: ${warning}`));
+        }
+    });
+
+    return { nodes, applied: [...applied], warnings: [...new Set(warnings)] };
+}
+
+function applySampler(node, sampler, scheduleType, applied, warnings) {
+    const samplerWidget = findWidget(node, ['sampler_name']);
+    const schedulerWidget = findWidget(node, ['scheduler']);
+    const samplers = samplerWidget.options?.values || [];
+    const schedulers = schedulerWidget.options?.values || [];
+
+    // ComfyUI images already have ComfyUI names
+    let sampler_name = sampler;
+    let scheduler = scheduleType;
+    if (!samplers.includes(sampler_name) || (scheduler && !schedulers.includes(scheduler))) {
+        const mapped = mapSampler(samplers.includes(sampler) ? '' : sampler, scheduleType);
+        if (!samplers.includes(sampler_name)) {
+            sampler_name = mapped.sampler_name;
+            warnings.push(...mapped.warnings.filter(warning => warning.startsWith('Sampler') || warning.startsWith('Unknown sampler')));
+        }
+        if (!schedulers.includes(scheduler)) {
+            scheduler = mapped.scheduler;
+            warnings.push(...mapped.warnings.filter(warning => warning.startsWith('Schedule type')));
+        }
+    }
+
+    if (samplers.includes(sampler_name)) {
+        setWidgetValue(node, samplerWidget, sampler_name);
+        applied.add('Sampler');
+    } else {
+        warnings.push(`Sampler "${sampler_name}" is not available in this ComfyUI`);
+    }
+
+    if (!scheduler) return;
+    if (schedulers.includes(scheduler)) {
+        setWidgetValue(node, schedulerWidget, scheduler);
+        applied.add('Schedule type');
+    } else {
+        warnings.push(`Scheduler "${scheduler}" is not available in this ComfyUI`);
+    }
+}
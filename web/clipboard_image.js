@@ -0,0 +1,110 @@
+// clipboard -> image file for the sidebar
+// result: { file, original } - original: false when the browser re-encoded the image,
+// such a bitmap has lost its text chunks
+
+const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/webp'];
+
+const EXTENSIONS = { 'image/png': 'png', 'image/jpeg': 'jpg', 'image/webp': 'webp' };
+
+// copied from a web page: the clipboard has <img src="..."> next to the bitmap
+function imageSource(html) {
+    if (!html) return null;
+    const match = html.match(/<img\b[^>]*?\bsrc\s*=\s*["']([^"']+)["']/i);
+    if (!match) return null;
+    const src = match[1].replace(/&amp;/g, '&');
+    return /^(https?:|data:image\/|blob:)/i.test(src) ? src : null;
+}
+
+// copied as a link
+function imageURL(text) {
+    const url = text?.trim();
+    return url && /^https?:\/\/\S+$/i.test(url) ? url : null;
+}
+
+function fileName(url, type) {
+    const extension = EXTENSIONS[type] || 'png';
+    try {
+        const name = decodeURIComponent(new URL(url).pathname.split('/').pop());
+        if (/\.(png|jpe?g|webp)$/i.test(name)) return name;
+    } catch (error) {
+        // data: and odd urls have no usable name
+    }
+    return `clipboard.${extension}`;
+}
+
+// the bytes the page was showing; fails for servers without CORS
+async function fetchOriginal(url) {
+    try {
+        const response = await fetch(url);
+        if (!response.ok) return null;
+        const blob = await response.blob();
+        if (!IMAGE_TYPES.includes(blob.type)) return null;
+        return new File([blob], fileName(url, blob.type), {
+            type: blob.type,
+            lastModified: Date.parse(response.headers.get('last-modified')) || Date.now()
+        });
+    } catch (error) {
+        console.warn(`PNGInfo: can't fetch the original of the clipboard image ${url}`, error);
+        return null;
+    }
+}
+
+function bitmapFile(blob) {
+    return new File([blob], `clipboard.${EXTENSIONS[blob.type] || 'png'}`, { type: blob.type, lastModified: Date.now() });
+}
+
+// "paste" event: copied files (file manager), the original behind <img>, the bitmap
+export async function imageFromClipboardData(clipboardData) {
+    if (!clipboardData) return null;
+    // the event's DataTransfer is empty once the handler yields: everything is read before the first await
+    const html = clipboardData.getData('text/html');
+    const text = clipboardData.getData('text/plain');
+    const files = [...(clipboardData.files || [])].filter(file => IMAGE_TYPES.includes(file.type));
+    const bitmaps = [...(clipboardData.items || [])]
+        .filter(item => item.kind === 'file' && IMAGE_TYPES.includes(item.type))
+        .map(item => item.getAsFile())
+        .filter(blob => blob);
+
+    // a file manager puts the file itself, a browser puts a re-encoded "image.png" and the html
+    if (files.length > 0 && !html) {
+        return { file: files[0], original: true };
+    }
+
+    const url = imageSource(html) || imageURL(text);
+    const original = url ? await fetchOriginal(url) : null;
+    if (original) {
+        return { file: original, original: true };
+    }
+
+    if (files.length > 0) {
+        return { file: files[0], original: false };
+    }
+    if (bitmaps.length > 0) {
+        return { file: bitmapFile(bitmaps[0]), original: false };
+    }
+    return null;
+}
+
+// Paste button: the async clipboard api only gives re-encoded bitmaps, html and text
+export async function readClipboardImage() {
+    if (!navigator.clipboard?.read) {
+        throw new Error('The browser does not allow reading the clipboard here, press Ctrl+V instead');
+    }
+    const items = await navigator.clipboard.read();
+
+    let bitmap = null;
+    for (const item of items) {
+        const text = async (type) => item.types.includes(type) ? (await item.getType(type)).text() : '';
+        const url = imageSource(await text('text/html')) || imageURL(await text('text/plain'));
+        const original = url ? await fetchOriginal(url) : null;
+        if (original) {
+            return { file: original, original: true };
+        }
+
+        const type = item.types.find(type => IMAGE_TYPES.includes(type));
+        if (type && !bitmap) {
+            bitmap = bitmapFile(await item.getType(type));
+        }
+    }
+    return bitmap ? { file: bitmap, original: false } : null;
+}
@@ -0,0 +1,73 @@
+// folder scan: parsed fields -> table rows, CSV / JSON export
+
+export const SCAN_COLUMNS = [
+    { key: 'file',     title: 'File' },
+    { key: 'format',   title: 'Format' },
+    { key: 'prompt',   title: 'Prompt' },
+    { key: 'negative', title: 'Negative Prompt' },
+    { key: 'model',    title: 'Model' },
+    { key: 'seed',     title: 'Seed' },
+    { key: 'steps',    title: 'Steps' },
+    { key: 'sampler',  title: 'Sampler' },
+    { key: 'size',     title: 'Size' },
+    { key: 'lora',     title: 'LoRA' },
+    // why the file could not be read, empty when it was
+    { key: 'status',   title: 'Status' },
+];
+
+// summary sections only, node values would overwrite them
+const SUMMARY_SECTIONS = ['Prompts', 'LoRA', 'Parameters'];
+
+export function summarizeFields(fields) {
+    const summary = fields.filter(field => SUMMARY_SECTIONS.includes(field.section));
+    const value = (name) => summary.find(field => field.field === name)?.value ?? '';
+    return {
+        prompt:   value('Prompt'),
+        negative: value('Negative Prompt'),
+        model:    value('Model'),
+        seed:     value('Seed'),
+        steps:    value('Steps'),
+        sampler:  value('Sampler'),
+        size:     value('Size'),
+        lora:     summary.filter(field => field.kind === 'lora').map(field => field.value).join(' '),
+    };
+}
+
+// all words must be somewhere in the row
+export function matchRow(row, query) {
+    const words = query.toLowerCase().split(/\s+/).filter(word => word !== '');
+    if (words.length === 0) return true;
+    const text = SCAN_COLUMNS.map(({ key }) => row[key]).join('\n').toLowerCase();
+    return words.every(word => text.includes(word));
+}
+
+// numbers as numbers, the rest as text with numeric parts ("img2" < "img10")
+export function compareValues(a, b) {
+    const x = Number(a);
+    const y = Number(b);
+    if (a !== '' && b !== '' && Number.isFinite(x) && Number.isFinite(y)) return x - y;
+    return `${a}`.localeCompare(`${b}`, undefined, { numeric: true, sensitivity: 'base' });
+}
+
+function csvValue(value) {
+    const text = `${value ?? ''}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function rowsToCSV(rows) {
+    const lines = [SCAN_COLUMNS.map(({ title }) => csvValue(title)).join(',')];
+    for (const row of rows) {
+        lines.push(SCAN_COLUMNS.map(({ key }) => csvValue(row[key])).join(','));
+    }
+    return lines.join('\r\n');
+}
+
+// the table columns + all the parsed fields
+export function rowsToJSON(rows) {
+    return JSON.stringify(rows.map(row => {
+        const item = {};
+        SCAN_COLUMNS.forEach(({ key }) => { item[key] = row[key]; });
+        item.fields = row.fields;
+        return item;
+    }), null, 2);
+}
@@ -0,0 +1,154 @@
+import { mapSampler } from "./sampler_map.js";
+
+// parameters used only for information, nothing to translate
+const INFO_KEYS = ['Model hash', 'VAE hash', 'Lora hashes', 'TI hashes', 'Version', 'Hashes'];
+
+function withExtension(name) {
+    return /\.(safetensors|ckpt|pt|pth|bin|gguf|sft)$/i.test(name) ? name : `${name}.safetensors`;
+}
+
+// Forge/A1111 parameters (parsed by ForgeUI) -> ComfyUI API prompt:
+// checkpoint -> LoRA chain -> CLIPTextEncode -> KSampler [-> hires KSampler] -> VAEDecode -> SaveImage
+export function buildComfyPrompt(forge) {
+    const warnings = [];
+    const params = {};
+    for (const { key, value } of forge.params || []) {
+        params[key] = value;
+    }
+    const used = new Set(INFO_KEYS);
+    const take = (key) => {
+        used.add(key);
+        return params[key];
+    };
+
+    const prompt = {};
+    let nextId = 1;
+    const addNode = (class_type, inputs, title) => {
+        const id = String(nextId++);
+        prompt[id] = { class_type, inputs, _meta: { title: title || class_type } };
+        return id;
+    };
+
+    // checkpoint
+    const model = take('Model');
+    if (!model) {
+        warnings.push('Model is not specified, set the checkpoint manually');
+    }
+    const checkpoint = addNode('CheckpointLoaderSimple', { ckpt_name: withExtension(model || 'model') });
+    let modelLink = [checkpoint, 0];
+    let clipLink = [checkpoint, 1];
+    let vaeLink = [checkpoint, 2];
+
+    // LoRA chain
+    for (const tag of forge.lora || []) {
+        const match = tag.match(/^<(.*?):(.*?)(?::(.*?))?>$/);
+        if (!match || match[1].toLowerCase() !== 'lora') {
+            warnings.push(`Not translated: ${tag}`);
+            continue;
+        }
+        const weight = match[3] !== undefined && !isNaN(parseFloat(match[3])) ? parseFloat(match[3]) : 1;
+        const lora = addNode('LoraLoader', {
+            model: modelLink,
+            clip: clipLink,
+            lora_name: withExtension(match[2]),
+            strength_model: weight,
+            strength_clip: weight
+        });
+        modelLink = [lora, 0];
+        clipLink = [lora, 1];
+    }
+
+    const vae = take('VAE');
+    if (vae) {
+        vaeLink = [addNode('VAELoader', { vae_name: withExtension(vae) }), 0];
+    }
+
+    const clipSkip = parseInt(take('Clip skip'), 10);
+    if (clipSkip > 1) {
+        clipLink = [addNode('CLIPSetLastLayer', { clip: clipLink, stop_at_clip_layer: -clipSkip }), 0];
+    }
+
+    const positive = addNode('CLIPTextEncode', { text: forge.positive || '', clip: clipLink }, 'Positive');
+    const negative = addNode('CLIPTextEncode', { text: forge.negative || '', clip: clipLink }, 'Negative');
+
+    // latent
+    let width = 512, height = 512;
+    const size = take('Size');
+    if (size && /^\d+x\d+$/.test(size)) {
+        [width, height] = size.split('x').map(Number);
+    } else {
+        warnings.push('Size is not specified, 512x512 is used');
+    }
+    const latent = addNode('EmptyLatentImage', { width, height, batch_size: 1 });
+
+    // sampler
+    const { sampler_name, scheduler, warnings: samplerWarnings } = mapSampler(take('Sampler') || 'Euler', take('Schedule type') || '');
+    warnings.push(...samplerWarnings);
+
+    const steps = parseInt(take('Steps'), 10) || 20;
+    const cfg = parseFloat(take('CFG scale')) || 7;
+    const seed = parseInt(take('Seed'), 10);
+
+    const sampler = addNode('KSampler', {
+        seed: Number.isFinite(seed) && seed >= 0 ? seed : 0,
+        steps,
+        cfg,
+        sampler_name,
+        scheduler,
+        denoise: 1,
+        model: modelLink,
+        positive: [positive, 0],
+        negative: [negative, 0],
+        latent_image: [latent, 0]
+    });
+    let samplesLink = [sampler, 0];
+
+    // hires fix as a second latent pass
+    const hiresScale = take('Hires upscale');
+    const hiresResize = take('Hires resize');
+    const denoise = take('Denoising strength');
+    if (hiresScale || hiresResize) {
+        const upscaler = take('Hires upscaler');
+        if (upscaler && !/^latent/i.test(upscaler)) {
+            warnings.push(`Hires upscaler "${upscaler}" is replaced by a latent upscale`);
+        }
+
+        let upscale;
+        if (hiresResize && /^\d+x\d+$/.test(hiresResize)) {
+            const [hiresWidth, hiresHeight] = hiresResize.split('x').map(Number);
+            upscale = addNode('LatentUpscale', { samples: samplesLink, upscale_method: 'nearest-exact', width: hiresWidth, height: hiresHeight, crop: 'disabled' });
+        } else {
+            upscale = addNode('LatentUpscaleBy', { samples: samplesLink, upscale_method: 'nearest-exact', scale_by: parseFloat(hiresScale) || 2 });
+        }
+
+        const hiresSampler = addNode('KSampler', {
+            seed: Number.isFinite(seed) && seed >= 0 ? seed : 0,
+            steps: parseInt(take('Hires steps'), 10) || steps,
+            cfg,
+            sampler_name,
+            scheduler,
+            denoise: parseFloat(denoise) || 0.5,
+            model: modelLink,
+            positive: [positive, 0],
+            negative: [negative, 0],
+            latent_image: [upscale, 0]
+        }, 'Hires KSampler');
+        samplesLink = [hiresSampler, 0];
+    } else if (denoise) {
+        warnings.push(`Denoising strength ${denoise} without hires fix (img2img), the source image is not available`);
+    }
+
+    const decode = addNode('VAEDecode', { samples: samplesLink, vae: vaeLink });
+    addNode('SaveImage', { filename_prefix: 'ComfyUI', images: [decode, 0] });
+
+    for (const key of Object.keys(params)) {
+        if (!used.has(key)) {
+            warnings.push(`Not translated: ${key}: ${params[key]}`);
+        }
+    }
+    if (forge.llmSystem || forge.llmUser) {
+        warnings.push('Not translated: LLM prompts');
+    }
+
+    return { prompt, warnings };
+}
@@ -0,0 +1,61 @@
+import BaseFormat from "./read_prompt_base.js";
+import ComfyUI from "./read_prompt_comfy.js";
+import ComfyUIWorkflow from "./read_prompt_comfy_workflow.js";
+import ForgeUI from "./read_prompt_forge.js";
+import NovelAI from "./read_prompt_novelai.js";
+import InvokeAI from "./read_prompt_invoke.js";
+import Fooocus from "./read_prompt_fooocus.js";
+import SwarmUI from "./read_prompt_swarm.js";
+
+export class FormatRegistry {
+    constructor() {
+        this.formats = [];
+    }
+
+    register(format, options = {}) {
+        if (!(format?.prototype instanceof BaseFormat)) {
+            throw new Error('PNGInfo: format must extend BaseFormat');
+        }
+        if (!format.formatName) {
+            throw new Error('PNGInfo: format must declare a static formatName');
+        }
+
+        // same name replaces the previous reader, so an extension can override a built-in one
+        this.unregister(format.formatName);
+        this.formats.push({ format, priority: options.priority ?? format.priority ?? 0 });
+    }
+
+    unregister(formatOrName) {
+        const name = typeof formatOrName === 'string' ? formatOrName : formatOrName?.formatName;
+        const count = this.formats.length;
+        this.formats = this.formats.filter(({ format }) => format !== formatOrName && format.formatName !== name);
+        return this.formats.length !== count;
+    }
+
+    list() {
+        return this.formats.map(({ format, priority }) => ({ name: format.formatName, format, priority }));
+    }
+
+    // formats that recognize the chunks, best first
+    candidates(chunks) {
+        const result = [];
+        for (const { format, priority } of this.formats) {
+            let score = 0;
+            try {
+                score = Number(format.detect(chunks)) || 0;
+            } catch (error) {
+                console.error(`PNGInfo: error in ${format.formatName}.detect`, error);
+            }
+            if (score > 0) {
+                result.push({ format, score, priority });
+            }
+        }
+        return result.sort((a, b) => (b.score - a.score) || (b.priority - a.priority));
+    }
+}
+
+export const formatRegistry = new FormatRegistry();
+
+for (const format of [NovelAI, InvokeAI, Fooocus, SwarmUI, ForgeUI, ComfyUI, ComfyUIWorkflow]) {
+    formatRegistry.register(format);
+}
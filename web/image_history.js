@@ -0,0 +1,172 @@
+// recent images: original file + thumbnail + parsed fields, kept in IndexedDB between sessions
+
+const DB_NAME = 'PNGInfo';
+const DB_VERSION = 1;
+const STORE_NAME = 'history';
+const THUMBNAIL_SIZE = 128;
+
+export class ImageHistory {
+    constructor(options = {}) {
+        this.options = { ...options };
+        // number of not pinned entries, 0 - history is off
+        this.limit = options.limit ?? 20;
+        this.dbPromise = null;
+    }
+
+    log(...args) {
+        if (this.options.isDebugMode) {
+            console.log(...args);
+        }
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+                    store.createIndex('key', 'key', { unique: false });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            // next call tries again
+            this.dbPromise.catch(() => { this.dbPromise = null; });
+        }
+        return this.dbPromise;
+    }
+
+    // one request in its own transaction, resolves when the transaction is done
+    async request(mode, callback) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE_NAME, mode);
+            const request = callback(transaction.objectStore(STORE_NAME));
+            transaction.oncomplete = () => resolve(request?.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    // several chained requests in one transaction: callback(store, result), resolves with result.value when it is done
+    async transaction(mode, callback) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE_NAME, mode);
+            const result = {};
+            callback(transaction.objectStore(STORE_NAME), result);
+            transaction.oncomplete = () => resolve(result.value);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    // the same file opened again replaces its entry and keeps the pin.
+    // lookup, replace and trim go in one transaction, so close calls (fast prev/next) don't interleave
+    async add(file, { format = null, fields = [] } = {}) {
+        this.log('ImageHistory add');
+        if (this.limit <= 0) return null;
+
+        // no awaits inside a transaction: the thumbnail is made first
+        const entry = {
+            key: `${file.name}|${file.size}|${file.lastModified}`,
+            name: file.name,
+            type: file.type,
+            size: file.size,
+            lastModified: file.lastModified,
+            time: Date.now(),
+            pinned: false,
+            blob: file,
+            thumbnail: await this.createThumbnail(file),
+            format,
+            fields
+        };
+
+        return this.transaction('readwrite', (store, result) => {
+            store.index('key').getAll(entry.key).onsuccess = (e) => {
+                const existing = e.target.result || [];
+                entry.pinned = existing.some(item => item.pinned);
+                existing.forEach(item => store.delete(item.id));
+                store.add(entry).onsuccess = (e) => {
+                    entry.id = e.target.result;
+                    result.value = entry;
+                    this.trimStore(store);
+                };
+            };
+        });
+    }
+
+    // pinned first, then the newest; ids grow, they order entries added in the same millisecond
+    sortEntries(entries) {
+        return entries.sort((a, b) => (b.pinned - a.pinned) || (b.time - a.time) || (b.id - a.id));
+    }
+
+    async list() {
+        const entries = await this.request('readonly', store => store.getAll()) || [];
+        return this.sortEntries(entries);
+    }
+
+    get(id) {
+        return this.request('readonly', store => store.get(id));
+    }
+
+    remove(id) {
+        this.log('ImageHistory remove');
+        return this.request('readwrite', store => store.delete(id));
+    }
+
+    setPinned(id, pinned) {
+        this.log('ImageHistory setPinned');
+        return this.transaction('readwrite', (store) => {
+            store.get(id).onsuccess = (e) => {
+                const entry = e.target.result;
+                if (!entry) return;
+                entry.pinned = pinned;
+                store.put(entry).onsuccess = () => {
+                    if (!pinned) this.trimStore(store);
+                };
+            };
+        });
+    }
+
+    async setLimit(limit) {
+        this.limit = limit;
+        await this.trim();
+    }
+
+    trim() {
+        return this.transaction('readwrite', (store) => this.trimStore(store));
+    }
+
+    // inside a running transaction; pinned entries are never removed by the limit
+    trimStore(store) {
+        store.getAll().onsuccess = (e) => {
+            const old = this.sortEntries(e.target.result || [])
+                .filter(entry => !entry.pinned)
+                .slice(Math.max(0, this.limit));
+            if (old.length === 0) return;
+            this.log(`ImageHistory trim ${old.length}`);
+            old.forEach(entry => store.delete(entry.id));
+        };
+    }
+
+    toFile(entry) {
+        return new File([entry.blob], entry.name, { type: entry.type, lastModified: entry.lastModified });
+    }
+
+    async createThumbnail(file) {
+        try {
+            const bitmap = await createImageBitmap(file);
+            const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(bitmap.width, bitmap.height));
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+            canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+            canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+            bitmap.close();
+            return await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.8));
+        } catch (error) {
+            console.error('PNGInfo: thumbnail failed', error);
+            return null;
+        }
+    }
+}
@@ -0,0 +1,134 @@
+// compare mode: fields of two images aligned by key + word-level diff
+
+// bigger prompts are compared as a whole, the LCS table would be too large
+const MAX_DIFF_CELLS = 4000000;
+
+const SEPARATOR = /^(\s+|,)$/;
+
+function tokenize(text) {
+    return (text || '').split(/(\s+|,)/).filter(token => token !== '');
+}
+
+// consecutive tokens with the same state -> one part
+function joinParts(tokens) {
+    const parts = [];
+    for (const { text, changed } of tokens) {
+        const last = parts[parts.length - 1];
+        if (last && last.changed === changed) {
+            last.text += text;
+        } else {
+            parts.push({ text, changed });
+        }
+    }
+    return parts;
+}
+
+// { left: [{ text, changed }], right: [{ text, changed }] }
+export function diffWords(a = '', b = '') {
+    const left = tokenize(a);
+    const right = tokenize(b);
+    const n = left.length;
+    const m = right.length;
+
+    if (n * m > MAX_DIFF_CELLS) {
+        const changed = a !== b;
+        return { left: [{ text: a, changed }], right: [{ text: b, changed }] };
+    }
+
+    // lcs[i][j] - common tokens of left[i..] and right[j..]
+    const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+        for (let j = m - 1; j >= 0; j--) {
+            lcs[i][j] = left[i] === right[j]
+                ? lcs[i + 1][j + 1] + 1
+                : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const leftTokens = [];
+    const rightTokens = [];
+    // separators are never highlighted, only words
+    const mark = (text) => ({ text, changed: !SEPARATOR.test(text) });
+
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+        if (left[i] === right[j]) {
+            leftTokens.push({ text: left[i++], changed: false });
+            rightTokens.push({ text: right[j++], changed: false });
+        } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+            leftTokens.push(mark(left[i++]));
+        } else {
+            rightTokens.push(mark(right[j++]));
+        }
+    }
+    while (i < n) leftTokens.push(mark(left[i++]));
+    while (j < m) rightTokens.push(mark(right[j++]));
+
+    return { left: joinParts(leftTokens), right: joinParts(rightTokens) };
+}
+
+// all <lora:...> tags of a section -> one field, so the list is diffed as a whole
+function mergeLoras(fields) {
+    const result = [];
+    const lists = new Map();
+    for (const field of fields || []) {
+        if (field.kind !== 'lora') {
+            result.push(field);
+            continue;
+        }
+        const list = lists.get(field.section);
+        if (list) {
+            list.value += ` ${field.value}`;
+        } else {
+            const merged = { ...field };
+            lists.set(field.section, merged);
+            result.push(merged);
+        }
+    }
+    return result;
+}
+
+// the same field can be there several times (node values), the n-th goes with the n-th
+function keyFields(fields) {
+    const count = new Map();
+    return mergeLoras(fields).map(field => {
+        const name = `${field.section}\n${field.field}`;
+        const index = count.get(name) || 0;
+        count.set(name, index + 1);
+        return { key: `${name}\n${index}`, field };
+    });
+}
+
+// rows: [{ section, field, kind, left, right, changed }], a missing value is undefined
+export function alignFields(leftFields, rightFields) {
+    const rows = [];
+    const byKey = new Map();
+
+    for (const { key, field } of keyFields(leftFields)) {
+        const row = { section: field.section, field: field.field, kind: field.kind, left: field.value, right: undefined };
+        byKey.set(key, row);
+        rows.push(row);
+    }
+
+    for (const { key, field } of keyFields(rightFields)) {
+        const row = byKey.get(key);
+        if (row) {
+            row.right = field.value;
+            continue;
+        }
+        // only in the second image: after the last row of its section
+        const added = { section: field.section, field: field.field, kind: field.kind, left: undefined, right: field.value };
+        byKey.set(key, added);
+        let index = -1;
+        rows.forEach((item, i) => { if (item.section === field.section) index = i; });
+        if (index >= 0) {
+            rows.splice(index + 1, 0, added);
+        } else {
+            rows.push(added);
+        }
+    }
+
+    rows.forEach(row => { row.changed = row.left !== row.right; });
+    return rows;
+}
@@ -0,0 +1,342 @@
+// edited metadata -> new image file
+// PNG: text chunks are rewritten, every other chunk (IHDR, IDAT...) is copied byte for byte
+// JPEG: the EXIF UserComment is rewritten, the rest of the EXIF and the image data are kept
+
+const PNG_SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+const TEXT_CHUNKS = ['tEXt', 'zTXt', 'iTXt'];
+
+// APP1 length field is 16 bit
+const MAX_APP1_SIZE = 0xFFFF - 2;
+
+const TAG_EXIF_POINTER = 0x8769;
+const TAG_USER_COMMENT = 0x9286;
+
+let crcTable = null;
+
+export function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function concat(parts) {
+    const result = new Uint8Array(parts.reduce((size, part) => size + part.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+        result.set(part, offset);
+        offset += part.length;
+    }
+    return result;
+}
+
+function latin1(text) {
+    return Uint8Array.from(text, char => char.charCodeAt(0));
+}
+
+// --- PNG ---
+
+function pngChunk(type, data) {
+    const chunk = new Uint8Array(12 + data.length);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, data.length);
+    chunk.set(latin1(type), 4);
+    chunk.set(data, 8);
+    // CRC covers the type and the data
+    view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+    return chunk;
+}
+
+// ASCII -> tEXt, anything else -> uncompressed UTF-8 iTXt (same choice as PIL)
+function pngTextChunk(key, value, international = false) {
+    if (!/^[\x20-\x7E\xA1-\xFF]{1,79}$/.test(key) || /^ | $|  /.test(key)) {
+        throw new Error(`"${key}" is not a valid PNG keyword`);
+    }
+    const keyword = latin1(key);
+    if (!international && /^[\x00-\x7F]*$/.test(value)) {
+        return pngChunk('tEXt', concat([keyword, [0], latin1(value)]));
+    }
+    // keyword \0 flag(0) method(0) language \0 translated keyword \0 text
+    return pngChunk('iTXt', concat([keyword, [0, 0, 0, 0, 0], new TextEncoder().encode(value)]));
+}
+
+function readPngChunks(data) {
+    if (!PNG_SIGNATURE.every((byte, index) => data[index] === byte)) {
+        throw new Error('Not a valid PNG file');
+    }
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    const chunks = [];
+    let offset = 8;
+    while (offset + 12 <= data.length) {
+        const length = view.getUint32(offset);
+        const type = String.fromCharCode(...data.subarray(offset + 4, offset + 8));
+        if (offset + 12 + length > data.length) {
+            throw new Error(`Truncated PNG chunk: ${type}`);
+        }
+        chunks.push({ type, bytes: data.subarray(offset, offset + 12 + length), data: data.subarray(offset + 8, offset + 8 + length) });
+        offset += 12 + length;
+        if (type === 'IEND') break;
+    }
+    return chunks;
+}
+
+// texts: { key: value }, keys as the reader reports them (lowercase), empty value - the chunk is removed.
+// Chunks keep their place and the case of their keyword, new ones go before the image data.
+export function writePNGText(data, texts) {
+    const pending = new Map(Object.entries(texts).map(([key, value]) => [key.trim().toLowerCase(), { key, value }]));
+    const edited = new Set(pending.keys());
+    const parts = [data.subarray(0, 8)];
+
+    for (const chunk of readPngChunks(data)) {
+        if (TEXT_CHUNKS.includes(chunk.type)) {
+            const nullIndex = chunk.data.indexOf(0);
+            const rawKey = nullIndex > 0 ? String.fromCharCode(...chunk.data.subarray(0, nullIndex)) : '';
+            const key = rawKey.trim().toLowerCase();
+            if (pending.has(key)) {
+                const { value } = pending.get(key);
+                pending.delete(key);
+                if (value) parts.push(pngTextChunk(rawKey, value, chunk.type === 'iTXt'));
+                continue;
+            }
+            // a second chunk with the same key, the first one got the new value
+            if (edited.has(key)) continue;
+        }
+
+        if (chunk.type === 'IDAT' || chunk.type === 'IEND') {
+            for (const { key, value } of pending.values()) {
+                if (value) parts.push(pngTextChunk(key, value));
+            }
+            pending.clear();
+        }
+        parts.push(chunk.bytes);
+    }
+    return concat(parts);
+}
+
+// --- JPEG ---
+
+// "UNICODE\0" + UTF-16 in the byte order of the TIFF, as A1111 writes it
+function userCommentBytes(text, bigEnd) {
+    const bytes = new Uint8Array(8 + text.length * 2);
+    bytes.set(latin1('UNICODE\0'));
+    const view = new DataView(bytes.buffer);
+    for (let i = 0; i < text.length; i++) {
+        view.setUint16(8 + i * 2, text.charCodeAt(i), !bigEnd);
+    }
+    return bytes;
+}
+
+// big-endian TIFF with an empty IFD0
+function emptyTIFF() {
+    return Uint8Array.from([0x4D, 0x4D, 0x00, 0x2A, 0, 0, 0, 8, 0, 0, 0, 0, 0, 0]);
+}
+
+function readIFD(view, offset, bigEnd) {
+    if (offset < 8 || offset + 2 > view.byteLength) {
+        throw new Error('Corrupt EXIF: IFD is out of range');
+    }
+    const count = view.getUint16(offset, !bigEnd);
+    if (offset + 2 + count * 12 + 4 > view.byteLength) {
+        throw new Error('Corrupt EXIF: IFD is truncated');
+    }
+    const entries = [];
+    for (let i = 0; i < count; i++) {
+        const start = offset + 2 + i * 12;
+        entries.push({ tag: view.getUint16(start, !bigEnd), bytes: new Uint8Array(view.buffer, view.byteOffset + start, 12).slice() });
+    }
+    return { entries, next: view.getUint32(offset + 2 + count * 12, !bigEnd) };
+}
+
+// entries keep their 4 value bytes: offsets are relative to the TIFF start, nothing before the end moves
+function ifdBytes(entries, next, bigEnd) {
+    const bytes = new Uint8Array(2 + entries.length * 12 + 4);
+    const view = new DataView(bytes.buffer);
+    view.setUint16(0, entries.length, !bigEnd);
+    [...entries].sort((a, b) => a.tag - b.tag).forEach((entry, i) => bytes.set(entry.bytes, 2 + i * 12));
+    view.setUint32(2 + entries.length * 12, next, !bigEnd);
+    return bytes;
+}
+
+function ifdEntry(tag, type, count, value, bigEnd) {
+    const bytes = new Uint8Array(12);
+    const view = new DataView(bytes.buffer);
+    view.setUint16(0, tag, !bigEnd);
+    view.setUint16(2, type, !bigEnd);
+    view.setUint32(4, count, !bigEnd);
+    view.setUint32(8, value, !bigEnd);
+    return { tag, bytes };
+}
+
+// byte size of one value of a TIFF type
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 };
+
+function entryValue(entry, bigEnd) {
+    const view = new DataView(entry.bytes.buffer, entry.bytes.byteOffset, 12);
+    const type = view.getUint16(2, !bigEnd);
+    const count = view.getUint32(4, !bigEnd);
+    const size = (TYPE_SIZES[type] || 1) * count;
+    // up to 4 bytes are stored in the entry itself
+    return { size, offset: size > 4 ? view.getUint32(8, !bigEnd) : null };
+}
+
+// the end of the TIFF this writer left last time: [UserComment value][Exif IFD].
+// A new save replaces that tail instead of appending after it, so repeated edits don't grow the file.
+function reusableTail(tiff, ifd0Offset, ifd0, exifOffset, exif, bigEnd) {
+    if (exifOffset + 2 + exif.entries.length * 12 + 4 !== tiff.length) return tiff.length;
+
+    let start = exifOffset;
+    const comment = exif.entries.find(entry => entry.tag === TAG_USER_COMMENT);
+    if (comment) {
+        const { size, offset } = entryValue(comment, bigEnd);
+        // the value may be followed by one pad byte
+        if (offset !== null && (offset + size === exifOffset || offset + size + 1 === exifOffset)) {
+            start = offset;
+        }
+    }
+    // nothing else may live there
+    const others = [...ifd0.entries, ...exif.entries.filter(entry => entry !== comment)];
+    const outside = ifd0Offset + 2 + ifd0.entries.length * 12 + 4 <= start
+        && (ifd0.next === 0 || ifd0.next < start)
+        && others.every(entry => {
+            const { size, offset } = entryValue(entry, bigEnd);
+            return offset === null || offset + size <= start;
+        });
+    return outside ? start : tiff.length;
+}
+
+// the new UserComment and Exif IFD go to the end of the TIFF, replacing the ones written by an earlier save
+function writeTIFFUserComment(tiff, text) {
+    const view = new DataView(tiff.buffer, tiff.byteOffset, tiff.byteLength);
+    const order = view.getUint16(0);
+    if (order !== 0x4949 && order !== 0x4D4D) {
+        throw new Error('Corrupt EXIF: unknown byte order');
+    }
+    const bigEnd = order === 0x4D4D;
+    const ifd0Offset = view.getUint32(4, !bigEnd);
+    const ifd0 = readIFD(view, ifd0Offset, bigEnd);
+
+    const pointer = ifd0.entries.find(entry => entry.tag === TAG_EXIF_POINTER);
+    const oldExifOffset = pointer ? new DataView(pointer.bytes.buffer).getUint32(8, !bigEnd) : 0;
+    const exif = pointer
+        ? readIFD(view, oldExifOffset, bigEnd)
+        : { entries: [], next: 0 };
+
+    const keep = pointer ? reusableTail(tiff, ifd0Offset, ifd0, oldExifOffset, exif, bigEnd) : tiff.length;
+    const parts = [tiff.subarray(0, keep)];
+    let size = keep;
+    const append = (bytes) => {
+        // TIFF values start on a word boundary
+        if (size % 2) {
+            parts.push(new Uint8Array(1));
+            size++;
+        }
+        parts.push(bytes);
+        size += bytes.length;
+        return size - bytes.length;
+    };
+
+    // where the offset of the Exif IFD goes
+    let pointerAt;
+    let newIFD0Offset = null;
+    if (pointer) {
+        pointerAt = ifd0Offset + 2 + ifd0.entries.indexOf(pointer) * 12 + 8;
+    } else {
+        // no Exif IFD yet: IFD0 is written again with the pointer, before the tail so the tail stays reusable
+        const entries = [...ifd0.entries, ifdEntry(TAG_EXIF_POINTER, 4, 1, 0, bigEnd)];
+        newIFD0Offset = append(ifdBytes(entries, ifd0.next, bigEnd));
+        const index = [...entries].sort((a, b) => a.tag - b.tag).findIndex(entry => entry.tag === TAG_EXIF_POINTER);
+        pointerAt = newIFD0Offset + 2 + index * 12 + 8;
+    }
+
+    const entries = exif.entries.filter(entry => entry.tag !== TAG_USER_COMMENT);
+    if (text) {
+        const comment = userCommentBytes(text, bigEnd);
+        // UNDEFINED, at least 8 bytes - never inline
+        entries.push(ifdEntry(TAG_USER_COMMENT, 7, comment.length, append(comment), bigEnd));
+    }
+    const exifOffset = append(ifdBytes(entries, exif.next, bigEnd));
+
+    const result = concat(parts);
+    const resultView = new DataView(result.buffer);
+    resultView.setUint32(pointerAt, exifOffset, !bigEnd);
+    if (newIFD0Offset !== null) {
+        resultView.setUint32(4, newIFD0Offset, !bigEnd);
+    }
+    return result;
+}
+
+// text -> EXIF UserComment, empty text removes it
+export function writeJPEGUserComment(data, text) {
+    if (data[0] !== 0xFF || data[1] !== 0xD8) {
+        throw new Error('Not a valid JPEG file');
+    }
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    const exifHeader = latin1('Exif\0\0');
+
+    // where the Exif APP1 is, or where it goes: after SOI and JFIF APP0
+    let exifStart = -1;
+    let exifEnd = -1;
+    let insertAt = 2;
+    let offset = 2;
+    while (offset + 4 <= data.length) {
+        if (data[offset] !== 0xFF) {
+            throw new Error('Corrupt JPEG: marker expected');
+        }
+        const marker = data[offset + 1];
+        if (marker === 0xFF) { offset += 1; continue; }
+        if (marker === 0x01 || (marker >= 0xD0 && marker <= 0xD8)) { offset += 2; continue; }
+        if (marker === 0xDA || marker === 0xD9) break;
+
+        const end = offset + 2 + view.getUint16(offset + 2);
+        if (end > data.length) {
+            throw new Error('Corrupt JPEG: truncated segment');
+        }
+        if (marker === 0xE1 && exifHeader.every((byte, index) => data[offset + 4 + index] === byte)) {
+            exifStart = offset;
+            exifEnd = end;
+            break;
+        }
+        if (marker === 0xE0 && offset === 2) {
+            insertAt = end;
+        }
+        offset = end;
+    }
+
+    const tiff = exifStart >= 0 ? data.slice(exifStart + 10, exifEnd) : emptyTIFF();
+    const newTIFF = writeTIFFUserComment(tiff, text);
+
+    const size = 2 + exifHeader.length + newTIFF.length;
+    if (size > MAX_APP1_SIZE) {
+        throw new Error(`The text is too long for EXIF (${size} bytes, 64 KB at most)`);
+    }
+    const segment = concat([[0xFF, 0xE1, size >> 8, size & 0xFF], exifHeader, newTIFF]);
+
+    return exifStart >= 0
+        ? concat([data.subarray(0, exifStart), segment, data.subarray(exifEnd)])
+        : concat([data.subarray(0, insertAt), segment, data.subarray(insertAt)]);
+}
+
+// texts as in writePNGText; JPEG has room for one text, texts.parameters
+export async function writeMetadata(file, texts, fileName = file.name) {
+    const data = new Uint8Array(await file.arrayBuffer());
+    let bytes;
+    if (file.type === 'image/png') {
+        bytes = writePNGText(data, texts);
+    } else if (file.type === 'image/jpeg') {
+        bytes = writeJPEGUserComment(data, texts.parameters || '');
+    } else {
+        throw new Error('Only PNG and JPEG files can be edited');
+    }
+    return new File([bytes], fileName, { type: file.type, lastModified: Date.now() });
+}
@@ -0,0 +1,84 @@
+import { toA1111Sampler } from "./sampler_map.js";
+
+// fields of any reader -> A1111 "parameters" text / plain JSON, for the copy buttons
+
+// A1111 writes these first, in this order
+const PARAMETER_ORDER = ['Steps', 'Sampler', 'Schedule type', 'CFG scale', 'Seed', 'Size',
+    'Model hash', 'Model', 'VAE hash', 'VAE', 'Denoising strength'];
+
+// only the summary, node values are not parameters
+const SUMMARY_SECTIONS = ['Prompts', 'LoRA', 'Parameters'];
+
+// same as quote() in A1111 infotext
+function quote(text) {
+    if (!/[,:\n"]/.test(text)) return text;
+    return JSON.stringify(text);
+}
+
+// "C:\models\sdxl\juggernaut.safetensors" -> "juggernaut"
+function modelName(value) {
+    return value.replace(/^.*[\\/]/, '').replace(/\.(safetensors|ckpt|pt|pth|bin|gguf|sft)$/i, '');
+}
+
+export function toA1111Parameters(fields) {
+    const summary = (fields || []).filter(field => SUMMARY_SECTIONS.includes(field.section));
+    const value = (name) => summary.find(field => field.section === 'Prompts' && field.field === name)?.value ?? '';
+
+    // LoRA tags go back into the prompt, unless they are still there
+    let prompt = value('Prompt');
+    const loras = summary
+        .filter(field => field.kind === 'lora' && !prompt.includes(field.value))
+        .map(field => field.value);
+    if (loras.length > 0) {
+        prompt = prompt ? `${prompt} ${loras.join(' ')}` : loras.join(' ');
+    }
+
+    const params = new Map();
+    for (const field of summary.filter(field => field.section === 'Parameters')) {
+        if (!params.has(field.field)) params.set(field.field, field.value);
+    }
+
+    if (params.has('Sampler')) {
+        const { sampler, scheduleType } = toA1111Sampler(params.get('Sampler'), params.get('Schedule type'));
+        params.set('Sampler', sampler);
+        if (scheduleType) params.set('Schedule type', scheduleType);
+    }
+    if (params.has('Model')) {
+        params.set('Model', modelName(params.get('Model')));
+    }
+
+    const keys = [
+        ...PARAMETER_ORDER.filter(key => params.has(key)),
+        ...[...params.keys()].filter(key => !PARAMETER_ORDER.includes(key))
+    ];
+
+    const lines = [prompt];
+    const negative = value('Negative Prompt');
+    if (negative) lines.push(`Negative prompt: ${negative}`);
+    if (keys.length > 0) {
+        lines.push(keys.map(key => `${key}: ${quote(params.get(key))}`).join(', '));
+    }
+    return lines.join('\n');
+}
+
+// { section: { field: value } }, repeated fields -> arrays, LoRA -> list of tags
+export function toJSONObject(fields) {
+    const result = {};
+    for (const { section, field, value, kind } of fields || []) {
+        const typed = kind === 'number' && Number.isFinite(Number(value)) ? Number(value) : value;
+        if (kind === 'lora') {
+            result[section] = Array.isArray(result[section]) ? result[section] : [];
+            result[section].push(typed);
+            continue;
+        }
+        const group = result[section] ??= {};
+        if (!(field in group)) {
+            group[field] = typed;
+        } else if (Array.isArray(group[field])) {
+            group[field].push(typed);
+        } else {
+            group[field] = [group[field], typed];
+        }
+    }
+    return result;
+}
@@ -1,13 +1,30 @@
 import { app } from "../../../scripts/app.js";
+import { api } from "../../../scripts/api.js";
 import { $el } from "../../../scripts/ui.js";
 
 import { ImageUploader } from './ImageUploader.js';
+import BaseFormat from './read_prompt_base.js';
+import { formatRegistry } from './format_registry.js';
+import { ImageHistory } from './image_history.js';
+import { HistoryStrip } from './HistoryStrip.js';
+import { CompareView } from './CompareView.js';
+import { FolderScanView } from './FolderScanView.js';
+import { ServerBrowser } from './ServerBrowser.js';
+import { MetadataEditor } from './MetadataEditor.js';
+import { fetchImageFile, nodeImage } from './server_images.js';
+import { imageFromClipboardData, readClipboardImage } from './clipboard_image.js';
 
 ///////////////////////////////////////////
 
 const DEF_FONT_NAME =         'Arial';
 const DEF_FONT_SIZE =         10;
 const DEF_IMAGE_SIZE =        100;
+const DEF_HISTORY_SIZE =      20;
+const DEF_AUTO_FOLLOW =       false;
+// batch outputs come as several "executed" events, only the last one is shown
+const AUTO_FOLLOW_DELAY =     500;
+
+const SIDEBAR_TAB_ID =        "PNGInfo.SideBar";
 
 const DEF_COLOR_TEXT =        '000000';
 const DEF_COLOR_FILE =        '008000';
@@ -31,6 +48,11 @@ class PNGInfo_SideBar {
         this.fontName = this.getSettingValue("PNGInfo.General.FontName", DEF_FONT_NAME);
         this.fontSize = this.getSettingValue("PNGInfo.General.FontSize", DEF_FONT_SIZE);
         this.imageSize = this.getSettingValue("PNGInfo.General.ImageSize", DEF_IMAGE_SIZE);
+        // 0 is a valid value here, getSettingValue would replace it with the default
+        this.historySize = app.extensionManager.setting.get("PNGInfo.History.Size") ?? DEF_HISTORY_SIZE;
+        this.autoFollow = this.getSettingValue("PNGInfo.General.AutoFollow", DEF_AUTO_FOLLOW);
+        // the shown image is not replaced by auto-follow
+        this.imagePinned = false;
         this.color_default = this.default_color_check(this.getSettingValue("PNGInfo.Colors.Text", DEF_COLOR_TEXT));
         this.color_file = this.default_color_check(this.getSettingValue("PNGInfo.Colors.File", DEF_COLOR_FILE));
         this.color_int = this.default_color_check(this.getSettingValue("PNGInfo.Colors.Number", DEF_COLOR_NUMBER));
@@ -40,26 +62,121 @@ class PNGInfo_SideBar {
         this.color_dark_int = this.default_color_check(this.getSettingValue("PNGInfo.Colors (Dark Theme).Number", DEF_COLOR_DARK_NUMBER));
         this.color_dark_header = this.default_color_check(this.getSettingValue("PNGInfo.Colors (Dark Theme).Header", DEF_COLOR_DARK_HEADER));
 
-        this.colors = {
-            color_default: `<span class="my-color-default">`,
-            color_header: `<span class="my-color-header">`,
-            color_int: `<span class="my-color-int">`,
-            color_file: `<span class="my-color-file">`,
-            color_red: `<span class="my-color-red">`
-        };
+        //events for other extensions: "metadata-loaded", "format-registered", "format-unregistered"
+        this.events = new EventTarget();
 
         this.uploaderContainer = $el("div.uploader-container");
         this.imageUploader = new ImageUploader(this.uploaderContainer, {
                 isDebugMode : this.isDebugMode,
-                colors:   this.colors,
+                events:   this.events,
+                registry: formatRegistry,
+                onEdit:   (file, rawMetadata, fields, formatName) => this.openEditor(file, rawMetadata, fields, formatName),
+        });
+
+        this.history = new ImageHistory({
+                isDebugMode: this.isDebugMode,
+                limit:       this.historySize,
+        });
+        this.historyContainer = $el("div.history-container");
+        this.historyStrip = new HistoryStrip(this.historyContainer, {
+                isDebugMode: this.isDebugMode,
+                history:     this.history,
+                onOpen:      (entry) => this.openHistoryEntry(entry),
+        });
+        this.events.addEventListener('metadata-loaded', (e) => this.addToHistory(e.detail));
+
+        this.compareContainer = $el("div.compare-container");
+        this.compareView = new CompareView(this.compareContainer, {
+                isDebugMode: this.isDebugMode,
+                uploader:    this.imageUploader,
+        });
+
+        this.folderContainer = $el("div.folder-container");
+        this.folderScanView = new FolderScanView(this.folderContainer, {
+                isDebugMode: this.isDebugMode,
+                uploader:    this.imageUploader,
+                onOpen:      (files, index) => this.openFiles(files, index),
         });
 
+        this.browserContainer = $el("div.browser-container");
+        this.serverBrowser = new ServerBrowser(this.browserContainer, {
+                isDebugMode: this.isDebugMode,
+                uploader:    this.imageUploader,
+                onOpen:      (file) => this.openFiles([file]),
+        });
+
+        this.editorContainer = $el("div.editor-container");
+        this.metadataEditor = new MetadataEditor(this.editorContainer, {
+                isDebugMode: this.isDebugMode,
+                uploader:    this.imageUploader,
+                onSaved:     (file) => this.openFiles([file]),
+                onClose:     () => this.setMode('view'),
+        });
+
+        //modes: "view" - one image, "compare" - two images, "folder" - folder scan, "browse" - server images,
+        //"edit" - metadata editor, opened by the "Edit metadata" button of the image
+        this.modes = {
+            view:    { container: this.uploaderContainer },
+            compare: { container: this.compareContainer, title: "Compare", tooltip: "Compare the metadata of two images" },
+            folder:  { container: this.folderContainer, title: "Folder", tooltip: "Scan a folder into a table" },
+            browse:  { container: this.browserContainer, title: "Browse", tooltip: "Images from the queue history, output and input folders",
+                       onShow: () => { if (!this.serverBrowser.images.length) this.serverBrowser.load(); } },
+            edit:    { container: this.editorContainer },
+        };
+        for (const [mode, item] of Object.entries(this.modes)) {
+            if (!item.title) continue;
+            item.button = $el("button.image-metadata-button", {
+                textContent: item.title,
+                title: item.tooltip,
+                onclick: () => this.setMode(this.mode === mode ? 'view' : mode),
+            });
+        }
+        this.followButton = $el("button.image-metadata-button", {
+                textContent: "Follow",
+                title: "Show the metadata of each newly generated image",
+                onclick: () => this.setAutoFollow(!this.autoFollow),
+        });
+        this.pinButton = $el("button.image-metadata-button.pi.pi-thumbtack", {
+                title: "Pin the shown image, auto-follow will not replace it",
+                onclick: () => this.setImagePinned(!this.imagePinned),
+        });
+        this.pasteButton = $el("button.image-metadata-button", {
+                textContent: "Paste",
+                title: "Show the image from the clipboard (Ctrl+V in the tab)",
+                onclick: () => this.pasteClipboard(),
+        });
+        this.toolbar = $el("div.PNGInfo-toolbar", [
+            ...Object.values(this.modes).filter(item => item.button).map(item => item.button),
+            this.pasteButton,
+            this.followButton,
+            this.pinButton
+        ]);
+
         this.createStyles();
         this.imageUploader.init();
+        this.historyStrip.init();
+        this.compareView.init();
+        this.folderScanView.init();
+        this.serverBrowser.init();
+        this.metadataEditor.init();
 
         this.element = $el("div.PNGInfo-popup", [
-            this.uploaderContainer 
+            this.toolbar,
+            this.historyContainer,
+            this.uploaderContainer,
+            this.compareContainer,
+            this.folderContainer,
+            this.browserContainer,
+            this.editorContainer
         ]);   
+        // clicks on empty space focus the tab, so Ctrl+V lands here
+        this.element.tabIndex = -1;
+        this.element.addEventListener('paste', (e) => this.onPaste(e));
+
+        this.setMode('view');
+        this.update_AutoFollow(this.autoFollow);
+        this.setImagePinned(false);
+        api.addEventListener('executed', (e) => this.onExecuted(e.detail));
 
         this.changeStyles_font_size();
         this.changeStyles_font_name();
@@ -82,6 +199,52 @@ class PNGInfo_SideBar {
         }
     }
 
+///////////////////////////////////////////
+// public API: app.PNGInfo
+
+    get BaseFormat() {
+        return BaseFormat;
+    }
+
+    registerFormat(format, options = {}) {
+        this.log('PNGInfo registerFormat');
+        formatRegistry.register(format, options);
+        this.events.dispatchEvent(new CustomEvent('format-registered', { detail: { name: format.formatName } }));
+    }
+
+    unregisterFormat(formatOrName) {
+        this.log('PNGInfo unregisterFormat');
+        const removed = formatRegistry.unregister(formatOrName);
+        if (removed) {
+            const name = typeof formatOrName === 'string' ? formatOrName : formatOrName.formatName;
+            this.events.dispatchEvent(new CustomEvent('format-unregistered', { detail: { name } }));
+        }
+        return removed;
+    }
+
+    getFormats() {
+        return formatRegistry.list();
+    }
+
+    async readMetadata(file) {
+        const chunks = await this.imageUploader.readRawMetadata(file);
+        const parsed = await this.imageUploader.parseFormats(chunks);
+        return {
+            chunks,
+            fields: parsed.fields,
+            format: parsed.format ? parsed.format.formatName : null,
+            results: this.imageUploader.describeResults(parsed)
+        };
+    }
+
+    addEventListener(type, listener, options) {
+        this.events.addEventListener(type, listener, options);
+    }
+
+    removeEventListener(type, listener, options) {
+        this.events.removeEventListener(type, listener, options);
+    }
+
 ///////////////////////////////////////////
 
     update() {
@@ -131,6 +294,45 @@ class PNGInfo_SideBar {
                 transition: opacity 0.2s;
             }
 
+            .image-uploader-container:focus {
+                outline: none;
+            }
+
+            .image-uploader-navigation {
+                display: flex;
+                flex-wrap: wrap;
+                align-items: center;
+                gap: 4px;
+                margin-bottom: 4px;
+            }
+
+            .image-uploader-counter {
+                font-size: var(--my-font-size);
+            }
+
+            .image-uploader-filmstrip {
+                display: flex;
+                gap: 2px;
+                width: 100%;
+                overflow-x: auto;
+            }
+
+            .image-uploader-filmstrip-item {
+                flex: none;
+                width: 40px;
+                height: 40px;
+                object-fit: cover;
+                border: 2px solid transparent;
+                border-radius: 3px;
+                cursor: pointer;
+                opacity: 0.7;
+            }
+
+            .image-uploader-filmstrip-item.active {
+                border-color: var(--my-color-header);
+                opacity: 1;
+            }
+
             .drop-overlay {
                 position: absolute;
                 top: 0;
@@ -153,6 +355,263 @@ class PNGInfo_SideBar {
                 display: flex;
             }
 
+            .PNGInfo-toolbar {
+                display: flex;
+                flex-wrap: wrap;
+                gap: 4px;
+                margin: 2px;
+            }
+
+            .image-compare-slots {
+                display: flex;
+                gap: 4px;
+                margin: 2px;
+            }
+
+            .image-compare-slot {
+                flex: 1;
+                min-width: 0px;
+                min-height: var(--my-button-size);
+                display: flex;
+                flex-direction: column;
+                align-items: center;
+                justify-content: center;
+                border: 2px dashed;
+                border-radius: 5px;
+                cursor: pointer;
+                font-size: var(--my-font-size);
+            }
+
+            .image-compare-slot.active {
+                background: rgba(0,0,0,0.3);
+            }
+
+            .image-compare-label {
+                font-size: var(--my-button-font-size);
+            }
+
+            .image-compare-preview {
+                max-width: 100%;
+                max-height: var(--my-image-size);
+            }
+
+            .image-compare-name {
+                word-break: break-all;
+                text-align: center;
+            }
+
+            .image-compare-table {
+                width: 100%;
+                border-collapse: collapse;
+                table-layout: fixed;
+            }
+
+            .image-compare-table td {
+                vertical-align: top;
+                padding: 1px 2px;
+                border-bottom: 1px solid rgba(128,128,128,0.2);
+            }
+
+            .image-compare-table td:first-child {
+                width: 25%;
+            }
+
+            .image-compare-table tr.changed {
+                background: rgba(255,200,0,0.15);
+            }
+
+            .image-compare-section td {
+                padding-top: 6px;
+                font-weight: bold;
+            }
+
+            .diff-removed {
+                background: rgba(255,0,0,0.3);
+                text-decoration: line-through;
+            }
+
+            .diff-added {
+                background: rgba(0,200,0,0.3);
+            }
+
+            .metadata-editor-block {
+                display: flex;
+                flex-direction: column;
+                gap: 2px;
+                margin: 4px 2px;
+            }
+
+            .metadata-editor-label {
+                margin-top: 4px;
+                font-size: var(--my-font-size);
+                font-weight: bold;
+            }
+
+            .metadata-editor-field {
+                display: flex;
+                flex-direction: column;
+                font-size: var(--my-font-size);
+            }
+
+            .metadata-editor-text,
+            .metadata-editor-field textarea,
+            .metadata-editor-field input {
+                width: 100%;
+                box-sizing: border-box;
+                font-size: var(--my-font-size) !important;
+                resize: vertical;
+            }
+
+            .metadata-editor-text {
+                font-family: monospace;
+            }
+
+            .metadata-editor-key {
+                flex: 1;
+                min-width: 80px;
+                font-size: var(--my-font-size) !important;
+            }
+
+            .metadata-editor-title {
+                margin: 2px;
+                font-size: var(--my-font-size);
+                overflow: hidden;
+                text-overflow: ellipsis;
+                white-space: nowrap;
+            }
+
+            .folder-scan {
+                overflow-x: auto;
+            }
+
+            .folder-scan-search {
+                flex: 1;
+                min-width: 80px;
+                font-size: var(--my-font-size) !important;
+            }
+
+            .folder-scan-status {
+                margin: 2px;
+                font-size: var(--my-font-size);
+            }
+
+            .folder-scan-table {
+                width: 100%;
+                border-collapse: collapse;
+            }
+
+            .folder-scan-table th {
+                position: sticky;
+                top: 0px;
+                cursor: pointer;
+                text-align: left;
+                background: var(--comfy-menu-bg);
+                white-space: nowrap;
+            }
+
+            .folder-scan-table td {
+                vertical-align: top;
+                padding: 1px 2px;
+                border-bottom: 1px solid rgba(128,128,128,0.2);
+                max-width: 300px;
+                overflow: hidden;
+                text-overflow: ellipsis;
+                white-space: nowrap;
+            }
+
+            .folder-scan-table tr:hover td {
+                background: rgba(128,128,128,0.15);
+                cursor: pointer;
+            }
+
+            .server-browser-source {
+                font-size: var(--my-font-size) !important;
+            }
+
+            .server-browser-status {
+                align-self: center;
+                font-size: var(--my-font-size);
+            }
+
+            .server-browser-grid {
+                display: grid;
+                grid-template-columns: repeat(auto-fill, minmax(64px, 1fr));
+                gap: 4px;
+                margin: 2px;
+            }
+
+            .server-browser-item {
+                width: 100%;
+                aspect-ratio: 1;
+                object-fit: cover;
+                border: 1px solid #ddd;
+                border-radius: 4px;
+                cursor: pointer;
+            }
+
+            .PNGInfo-popup:focus {
+                outline: none;
+            }
+
+            .PNGInfo-toolbar .image-metadata-button.active {
+                border-color: var(--my-color-header);
+                color: var(--my-color-header);
+            }
+
+            .image-history-list {
+                display: flex;
+                flex-wrap: wrap;
+                gap: 4px;
+                margin: 2px;
+            }
+
+            .image-history-item {
+                position: relative;
+                width: 48px;
+                height: 48px;
+            }
+
+            .image-history-thumbnail {
+                width: 100%;
+                height: 100%;
+                object-fit: cover;
+                border: 1px solid #ddd;
+                border-radius: 4px;
+                cursor: pointer;
+            }
+
+            .image-history-item.pinned .image-history-thumbnail {
+                border-color: var(--my-color-header);
+            }
+
+            .image-history-button {
+                position: absolute;
+                top: 0px;
+                width: 16px;
+                height: 16px;
+                padding: 0px;
+                font-size: 9px;
+                border: none;
+                border-radius: 3px;
+                background: rgba(0,0,0,0.5);
+                color: white;
+                cursor: pointer;
+                display: none;
+            }
+
+            .image-history-button.pi-thumbtack {
+                left: 0px;
+            }
+
+            .image-history-button.pi-times {
+                right: 0px;
+            }
+
+            .image-history-item:hover .image-history-button,
+            .image-history-button.active {
+                display: block;
+            }
+
             .image-metadata {
                 margin-top: 0px;
                 padding: 0px;
@@ -163,6 +622,37 @@ class PNGInfo_SideBar {
                 font: var(--my-font-name) !important;
             }
 
+            .image-metadata-actions {
+                display: flex;
+                flex-wrap: wrap;
+                gap: 4px;
+                margin: 4px 0px;
+            }
+
+            .image-metadata-button {
+                font-size: var(--my-font-size) !important;
+                padding: 2px 6px;
+                border: 1px solid;
+                border-radius: 4px;
+                cursor: pointer;
+            }
+
+            .image-metadata-section-title {
+                cursor: pointer;
+                margin: 2px 0px;
+            }
+
+            .image-metadata-copy {
+                margin-left: 4px;
+                font-size: 0.8em;
+                cursor: pointer;
+                opacity: 0.4;
+            }
+
+            .image-metadata-copy:hover {
+                opacity: 1;
+            }
+
             .my-color-header {
                 color: var(--my-color-header) !important;
             }
@@ -191,6 +681,199 @@ class PNGInfo_SideBar {
         document.documentElement.style.setProperty('--my-font-size', `${this.fontSize}px`);
    }
 
+///////////////////////////////////////////
+// modes
+
+    setMode(mode) {
+        this.log(`PNGInfo setMode ${mode}`);
+        this.mode = mode;
+        for (const [name, item] of Object.entries(this.modes)) {
+            item.container.hidden = name !== mode;
+            if (item.button) {
+                item.button.classList.toggle('active', name === mode);
+                item.button.textContent = name === mode ? "Back" : item.title;
+            }
+        }
+        this.modes[mode].onShow?.();
+    }
+
+    openSidebar() {
+        this.log('PNGInfo openSidebar');
+        const sidebarTab = app.extensionManager.sidebarTab;
+        if (sidebarTab && sidebarTab.activeSidebarTabId !== SIDEBAR_TAB_ID) {
+            sidebarTab.toggleSidebarTab(SIDEBAR_TAB_ID);
+        } else if (!sidebarTab) {
+            app.extensionManager.command?.execute(`Workspace.ToggleSidebarTab.${SIDEBAR_TAB_ID}`);
+        }
+    }
+
+    // "Show in PNG Info" of the node context menu
+    async showNodeImage(node) {
+        this.log('PNGInfo showNodeImage');
+        const image = nodeImage(node);
+        if (!image) {
+            this.imageUploader.showToast('error', 'PNGInfo Failed', 'The node shows no image');
+            return;
+        }
+        await this.showImage(image);
+    }
+
+    // image: { filename, subfolder, type } or { src, filename }
+    async showImage(image) {
+        this.log('PNGInfo showImage');
+        try {
+            const file = await fetchImageFile(image);
+            this.openSidebar();
+            this.openFiles([file]);
+        } catch (error) {
+            const error_text = `Error in showImage`;
+            console.error(`${error_text}: `, error);
+            this.imageUploader.showToast('error', 'PNGInfo Failed', `${error_text}: ${error.message}`);
+        }
+    }
+
+    openEditor(file, rawMetadata, fields, formatName) {
+        this.log('PNGInfo openEditor');
+        try {
+            this.metadataEditor.open(file, rawMetadata, fields, formatName);
+            this.setMode('edit');
+        } catch (error) {
+            const error_text = `Error in openEditor`;
+            console.error(`${error_text}: `, error);
+            this.imageUploader.showToast('error', 'PNGInfo Failed', `${error_text}: ${error.message}`);
+        }
+    }
+
+    // files from the folder table: shown one by one with prev/next
+    openFiles(files, index = 0) {
+        this.log('PNGInfo openFiles');
+        this.setMode('view');
+        this.imageUploader.setFiles(files);
+        this.imageUploader.showFileAt(index);
+    }
+
+///////////////////////////////////////////
+// clipboard
+
+    onPaste(e) {
+        // text boxes (folder search...) paste as usual
+        if (e.target.closest?.('input, textarea, select')) return;
+        // the canvas would paste the image as a LoadImage node
+        e.preventDefault();
+        e.stopPropagation();
+        this.log('PNGInfo onPaste');
+        this.showClipboardImage(imageFromClipboardData(e.clipboardData));
+    }
+
+    pasteClipboard() {
+        this.log('PNGInfo pasteClipboard');
+        this.showClipboardImage(readClipboardImage());
+    }
+
+    async showClipboardImage(pending) {
+        try {
+            const result = await pending;
+            if (!result) {
+                throw new Error('The clipboard has no PNG, JPEG or WEBP image');
+            }
+            this.openFiles([result.file]);
+
+            // the browser re-encoded the image: the text chunks are gone with it
+            const { rawMetadata } = await this.imageUploader.loadMetadata(result.file);
+            if (!result.original && Object.keys(rawMetadata).length === 0) {
+                this.imageUploader.showToast('warn', 'PNGInfo: no metadata in the clipboard image',
+                    'The clipboard has only a re-encoded copy of the image, without its metadata. '
+                    + 'Copy the file itself in the file manager, or save the image and drop the file here.', 10000);
+            }
+        } catch (error) {
+            const error_text = `Error in paste`;
+            console.error(`${error_text}: `, error);
+            this.imageUploader.showToast('error', 'PNGInfo Failed', `${error_text}: ${error.message}`);
+        }
+    }
+
+///////////////////////////////////////////
+// auto-follow
+
+    setAutoFollow(enabled) {
+        this.log('PNGInfo setAutoFollow');
+        // the onChange of the setting calls update_AutoFollow
+        app.extensionManager.setting.set("PNGInfo.General.AutoFollow", enabled);
+    }
+
+    update_AutoFollow(newVal) {
+        this.log('PNGInfo update_AutoFollow');
+        this.autoFollow = !!newVal;
+        this.followButton.classList.toggle('active', this.autoFollow);
+        if (!this.autoFollow) {
+            clearTimeout(this.followTimer);
+        }
+    }
+
+    setImagePinned(pinned) {
+        this.log('PNGInfo setImagePinned');
+        this.imagePinned = pinned;
+        this.pinButton.classList.toggle('active', pinned);
+    }
+
+    onExecuted(detail) {
+        if (!this.autoFollow) return;
+        const images = (detail?.output?.images || [])
+            .filter(image => /\.(png|jpe?g|webp)$/i.test(image.filename || ''));
+        if (images.length === 0) return;
+
+        this.followImage = images[images.length - 1];
+        clearTimeout(this.followTimer);
+        this.followTimer = setTimeout(() => this.showFollowedImage(), AUTO_FOLLOW_DELAY);
+    }
+
+    async showFollowedImage() {
+        this.log('PNGInfo showFollowedImage');
+        // pinned image or another mode (compare, folder...) in use - nothing is replaced
+        if (!this.autoFollow || this.imagePinned || this.mode !== 'view') return;
+        try {
+            const file = await fetchImageFile(this.followImage);
+            if (!this.autoFollow || this.imagePinned || this.mode !== 'view') return;
+            this.openFiles([file]);
+        } catch (error) {
+            const error_text = `Error in auto-follow`;
+            console.error(`${error_text}: `, error);
+        }
+    }
+
+///////////////////////////////////////////
+// history
+
+    async addToHistory(detail) {
+        this.log('PNGInfo addToHistory');
+        try {
+            await this.history.add(detail.file, { format: detail.format, fields: detail.fields });
+            await this.historyStrip.refresh();
+        } catch (error) {
+            const error_text = `Error in addToHistory`;
+            console.error(`${error_text}: `, error);
+        }
+    }
+
+    openHistoryEntry(entry) {
+        this.log('PNGInfo openHistoryEntry');
+        this.setMode('view');
+        const file = this.history.toFile(entry);
+        this.imageUploader.handleFileSelect({ target: { files: [file] } });
+    }
+
+    async update_HistorySize(newVal) {
+        this.log('PNGInfo update_HistorySize');
+        this.historySize = newVal;
+        try {
+            await this.history.setLimit(newVal);
+            await this.historyStrip.refresh();
+        } catch (error) {
+            const error_text = `Error in update_HistorySize`;
+            console.error(`${error_text}: `, error);
+        }
+    }
+
     changeStyles_image() {
         this.log('PNGInfo changeStyles_image');
         document.documentElement.style.setProperty('--my-image-size', `${this.imageSize}px`);
@@ -356,6 +1039,25 @@ class PNGInfo_SideBar {
 
 app.registerExtension({
     name: "comfy.PNGInfo.SideBar",
+
+    //"Show in PNG Info" for every node that shows an image (LoadImage, SaveImage, PreviewImage...)
+    async beforeRegisterNodeDef(nodeType, nodeData) {
+        const getExtraMenuOptions = nodeType.prototype.getExtraMenuOptions;
+        nodeType.prototype.getExtraMenuOptions = function (canvas, options) {
+            const result = getExtraMenuOptions?.apply(this, arguments);
+            if (app.PNGInfo && nodeImage(this)) {
+                const item = {
+                    content: "Show in PNG Info",
+                    callback: () => app.PNGInfo.showNodeImage(this),
+                };
+                // next to "Open Image" / "Save Image" when they are there
+                const index = options.findIndex(option => option?.content === "Save Image");
+                options.splice(index >= 0 ? index + 1 : options.length, 0, item);
+            }
+            return result;
+        };
+    },
+
     async setup() {
 
         //register settings enable
@@ -411,6 +1113,33 @@ app.registerExtension({
             },
         });
 
+        //register settings history
+        app.ui.settings.addSetting({
+            id: "PNGInfo.History.Size",
+            name: "Recent images (0 - off, pinned images are not counted)",
+            type: "slider",
+            attrs: { min: 0, max: 100, step: 1 },
+            defaultValue: DEF_HISTORY_SIZE,
+            onChange: (newVal, oldVal) => {
+                if (app.PNGInfo) {
+                    app.PNGInfo.update_HistorySize(newVal);
+                }
+            },
+        });
+
+        //register settings auto-follow
+        app.ui.settings.addSetting({
+            id: "PNGInfo.General.AutoFollow",
+            name: "Auto-follow: show the metadata of each newly generated image",
+            type: "boolean",
+            defaultValue: DEF_AUTO_FOLLOW,
+            onChange: (newVal, oldVal) => {
+                if (app.PNGInfo) {
+                    app.PNGInfo.update_AutoFollow(newVal);
+                }
+            },
+        });
+
         //register settings colors
 
         app.ui.settings.addSetting({
@@ -483,9 +1212,11 @@ app.registerExtension({
 
         const PNGInfo = new PNGInfo_SideBar(app);
         app.PNGInfo = PNGInfo; 
+        //for extensions that are set up before this one
+        window.dispatchEvent(new CustomEvent('pnginfo-ready', { detail: PNGInfo }));
    
         app.extensionManager.registerSidebarTab({
-            id: "PNGInfo.SideBar",
+            id: SIDEBAR_TAB_ID,
             icon: "pi pi-id-card",
             title: "PNG Info",
             tooltip: "PNG Info",
@@ -1,9 +1,47 @@
 export default class BaseFormat {
 
+    // --- format registry: how the uploader finds the reader for an image ---
+
+    // name shown in the UI and passed with the events
+    static formatName = '';
+
+    // tie breaker when two formats return the same score
+    static priority = 0;
+
+    // chunks read by this format, the others are shown as "Other chunks"
+    static chunkNames = [];
+
+    // 0 - not this format, 1 - certainly this format
+    static detect(chunks) {
+        return 0;
+    }
+
+    // text passed to the constructor as "raw", all chunks are also in options.chunks
+    static getRaw(chunks) {
+        return '';
+    }
+
     constructor(raw = "", options = {}) {
         this.raw = raw;
         this.options = { ...options };
-        this._output = {};
+        this._fields = [];
+    }
+
+    // JSON object or null, used by the format checks
+    static parseJSON(text) {
+        if (typeof text !== 'string' || !/^\s*\{/.test(text)) return null;
+        let json;
+        try {
+            json = JSON.parse(text);
+        } catch (error) {
+            // Python json.dumps writes NaN for empty values: replaced outside the strings only
+            try {
+                json = JSON.parse(text.replace(/"(?:\\.|[^"\\])*"|\bNaN\b/g, (match) => match === 'NaN' ? 'null' : match));
+            } catch (error) {
+                return null;
+            }
+        }
+        return json && typeof json === 'object' && !Array.isArray(json) ? json : null;
     }
 
     // logging
@@ -13,12 +51,16 @@ export default class BaseFormat {
         }
     }
 
-    get output() {
-        return this._output || {};
+    // --- result: [{ section, field, value, kind }], rendered by MetadataRenderer ---
+    // kind: "prompt" | "number" | "file" | "lora" | "json" | "text" | "error"
+
+    get fields() {
+        return this._fields || [];
     }
 
-    escapeHTML(text) {
-        return text.replace(/</g, "&lt;").replace(/>/g, "&gt;");
+    addField(section, field, value, kind = 'text') {
+        if (value === undefined || value === null) return;
+        this._fields.push({ section, field, value: String(value), kind });
     }
 
     cleanEdges(str) {
@@ -39,4 +81,38 @@ export default class BaseFormat {
       return false;
     }
 
+    // [[key, value], ...] -> [{ key, value }], empty values dropped
+    toParams(list) {
+        return list
+            .filter(([key, value]) => value !== undefined && value !== null && value.toString() !== '')
+            .map(([key, value]) => ({ key, value: typeof value === 'object' ? JSON.stringify(value) : value.toString() }));
+    }
+
+    valueKind(key, value) {
+        if (this.isNumber(value)) return 'number';
+        if (key == "Model") return 'file';
+        if (/^\s*[\[{]/.test(value)) {
+            try {
+                JSON.parse(value);
+                return 'json';
+            } catch (error) {
+                // not a JSON, just brackets
+            }
+        }
+        return 'text';
+    }
+
+    addParams(params, section = 'Parameters') {
+        for (const { key, value } of params) {
+            this.addField(section, key, value, this.valueKind(key, value));
+        }
+    }
+
+    // <lora:name:weight> tags
+    addLoras(loras) {
+        for (const tag of loras || []) {
+            this.addField('LoRA', 'LoRA', tag, 'lora');
+        }
+    }
+
 }
@@ -7,6 +7,23 @@ export default class ComfyUI extends BaseFormat {
         this.log('ComfyUI prompt reader start');      
 
         this.files_type = ['.safetensors','.ckpt','.bin','.gguf','.pt','.txt','.png','.jpg','.jpeg']; 
+
+        this.positive = '';
+        this.negative = '';
+        this.lora = [];
+        this.params = [];
+    }
+
+    static formatName = 'ComfyUI';
+    static priority = 4;
+    static chunkNames = ['prompt'];
+
+    static detect(chunks) {
+        return BaseFormat.parseJSON(chunks?.prompt) ? 0.6 : 0;
+    }
+
+    static getRaw(chunks) {
+        return chunks.prompt || '';
     }
 
     run() {
@@ -17,11 +34,18 @@ export default class ComfyUI extends BaseFormat {
 
         this.log('Open JSON');
 
-        this.raw = this.raw.replace(/NaN/g, 'null'); 
-        const json = JSON.parse(this.raw);
+        const json = BaseFormat.parseJSON(this.raw);
+        if (!json) {
+            throw new Error('The prompt is not a JSON object');
+        }
 
         this.log(json);
 
+        this.log('Parce graph');
+
+        this.readGraph(json);
+        this.addSummary();
+
         this.log('Parce JSON');      
 
         const resultDict = {};
@@ -50,20 +74,14 @@ export default class ComfyUI extends BaseFormat {
 
         this.log(resultDict);  
 
-        let result = {};
-
-        function processKeyValue(obj, key, value) {
-            if (obj.hasOwnProperty(key)) {
-                if (!Array.isArray(obj[key])) {
-                    obj[key] = [obj[key]];
-                }
-                if (!obj[key].includes(value)) {
-                    obj[key].push(value); 
-                }
-            } else {
-                obj[key] = value;
-            }
-        }
+        // raw node inputs, the same value of the same input is shown once
+        const seen = new Set();
+        const processKeyValue = (key, value, kind) => {
+            const id = `${key}\n${value}`;
+            if (seen.has(id)) return;
+            seen.add(id);
+            this.addField('Nodes', key, value, kind);
+        };
         
         for (const key in resultDict) {
             if (Array.isArray(resultDict[key])) {
@@ -72,22 +90,20 @@ export default class ComfyUI extends BaseFormat {
                     this.log(key);  
                     this.log(value);  
 
-                    const _key = `${this.escapeHTML(key)}`;   
-                    
                     if (value === null) continue;
                     if (Array.isArray(value)) continue;
 
                     if (typeof value !== 'object') {
                         //non object
-                         const _value = `${this.escapeHTML(value.toString())}`;        
+                         const _value = value.toString();
 
                         if (this.isNumber(_value)) {
-                            processKeyValue(result, `${_key}: `, `${this.options.colors.color_int}${_value}`);
+                            processKeyValue(key, _value, 'number');
                         } else if (this.files_type.some(ext => _value.includes(ext))) {
-                            processKeyValue(result, `${_key}: `, `${this.options.colors.color_file}${_value}`);
+                            processKeyValue(key, _value, 'file');
                         }  
                         else{
-                            processKeyValue(result, `${_key}: `, `${_value}`);
+                            processKeyValue(key, _value, 'text');
                         }
                     }
                     else
@@ -97,16 +113,13 @@ export default class ComfyUI extends BaseFormat {
                         const parts = entries.map(([key, value]) => {
                             return `${key}: ${value}`;
                         });
-                        const text = this.escapeHTML(parts.join(', '));
-                        processKeyValue(result, `${_key}: `, `${text}`);
+                        processKeyValue(key, parts.join(', '), 'text');
                     }
                 }
             }
         }       
 
-        this.log(result);  
-
-        this._output = result;
+        this.log(this.fields);  
  
         this.log('End parce');    
 
@@ -117,13 +130,221 @@ export default class ComfyUI extends BaseFormat {
       }
     }
 
-}
+    // --- graph walk: output node -> sampler -> positive/negative/model links ---
+
+    isLink(value) {
+        return Array.isArray(value) && value.length === 2 &&
+            (typeof value[0] === 'string' || typeof value[0] === 'number') && Number.isInteger(value[1]);
+    }
+
+    linkedNode(value) {
+        return this.isLink(value) ? this.graph[String(value[0])] : undefined;
+    }
+
+    isOutputNode(node) {
+        const outputs = ['SaveImage', 'PreviewImage', 'SaveAnimatedWEBP', 'SaveAnimatedPNG', 'Image Save', 'SaveImageWebsocket'];
+        return outputs.includes(node.class_type) ||
+            (/save|preview/i.test(node.class_type || '') && this.isLink(node.inputs?.images));
+    }
+
+    isSampler(node) {
+        const inputs = node?.inputs || {};
+        return (this.isLink(inputs.positive) && this.isLink(inputs.negative)) ||
+            (this.isLink(inputs.guider) && this.isLink(inputs.sigmas));
+    }
+
+    findSampler() {
+        const entries = Object.entries(this.graph);
+        // SaveImage before PreviewImage
+        const outputs = entries.filter(([id, node]) => node && this.isOutputNode(node))
+            .sort(([, a], [, b]) => Number(/preview/i.test(a.class_type)) - Number(/preview/i.test(b.class_type)));
+
+        for (const [id] of outputs) {
+            // breadth first, so the sampler closest to the output wins (hires pass over base pass)
+            const queue = [id];
+            const visited = new Set();
+            while (queue.length > 0) {
+                const current = queue.shift();
+                if (visited.has(current)) continue;
+                visited.add(current);
+
+                const node = this.graph[current];
+                if (!node) continue;
+                if (this.isSampler(node)) return node;
+
+                for (const value of Object.values(node.inputs || {})) {
+                    if (this.isLink(value)) queue.push(String(value[0]));
+                }
+            }
+        }
+
+        const sampler = entries.find(([id, node]) => this.isSampler(node));
+        return sampler ? sampler[1] : undefined;
+    }
+
+    resolveValue(value, key, depth = 0) {
+        // follow links to primitive / widget nodes
+        if (!this.isLink(value)) return value;
+        const node = this.linkedNode(value);
+        if (!node || !node.inputs || depth > 10) return undefined;
+
+        for (const name of [key, 'value', 'seed', 'noise_seed', 'int', 'float', 'number', 'string', 'text']) {
+            if (name in node.inputs) {
+                const result = this.resolveValue(node.inputs[name], name, depth + 1);
+                if (result !== undefined && result !== null) return result;
+            }
+        }
 
+        for (const input of Object.values(node.inputs)) {
+            if (!this.isLink(input) && (typeof input !== 'object' || input === null)) return input;
+        }
+        return undefined;
+    }
+
+    collectTexts(value) {
+        const textKeys = ['text', 'text_g', 'text_l', 't5xxl', 'clip_l', 'prompt', 'string', 'value', 'text_positive', 'text_negative'];
+        const skipKeys = ['clip', 'model', 'vae', 'image', 'images', 'pixels', 'mask', 'control_net', 'latent', 'samples',
+            'style_model', 'clip_vision_output', 'upscale_model'];
+
+        const texts = [];
+        const visited = new Set();
+
+        const walk = (link) => {
+            if (!this.isLink(link)) return;
+            const id = String(link[0]);
+            if (visited.has(id)) return;
+            visited.add(id);
+
+            const node = this.graph[id];
+            if (!node || !node.inputs) return;
+
+            for (const [key, input] of Object.entries(node.inputs)) {
+                if (skipKeys.includes(key)) continue;
+                if (this.isLink(input)) {
+                    walk(input);
+                } else if (typeof input === 'string' && textKeys.includes(key) && input.trim() !== '') {
+                    if (!texts.includes(input.trim())) texts.push(input.trim());
+                }
+            }
+        };
+
+        walk(value);
+        return texts.join('\n');
+    }
+
+    readModel(value) {
+        const modelKeys = ['ckpt_name', 'unet_name', 'model_name', 'base_ckpt_name', 'gguf_name'];
+        const visited = new Set();
+        let model = '';
+        const loras = [];
+
+        let node = this.linkedNode(value);
+        while (node && !visited.has(node)) {
+            visited.add(node);
+            const inputs = node.inputs || {};
+
+            if (typeof inputs.lora_name === 'string' && inputs.lora_name !== 'None') {
+                loras.push({ name: inputs.lora_name, weight: this.resolveValue(inputs.strength_model, 'strength_model') });
+            }
+
+            // rgthree Power Lora Loader: { on, lora, strength }
+            for (const input of Object.values(inputs)) {
+                if (input && typeof input === 'object' && !Array.isArray(input) && input.lora && input.on !== false) {
+                    loras.push({ name: input.lora, weight: input.strength });
+                }
+            }
+
+            const key = modelKeys.find(name => typeof inputs[name] === 'string');
+            if (key) {
+                model = inputs[key];
+                break;
+            }
+
+            node = this.linkedNode(inputs.model);
+        }
 
+        return { model, loras: loras.reverse() };
+    }
 
+    readSize(value) {
+        const queue = [value];
+        const visited = new Set();
+        while (queue.length > 0) {
+            const link = queue.shift();
+            const node = this.linkedNode(link);
+            if (!node || visited.has(node)) continue;
+            visited.add(node);
+
+            const inputs = node.inputs || {};
+            if ('width' in inputs && 'height' in inputs) {
+                const width = this.resolveValue(inputs.width, 'width');
+                const height = this.resolveValue(inputs.height, 'height');
+                if (this.isNumber(width) && this.isNumber(height)) return `${width}x${height}`;
+            }
+            for (const key of ['latent_image', 'samples', 'latent']) {
+                if (this.isLink(inputs[key])) queue.push(inputs[key]);
+            }
+        }
+        return '';
+    }
 
+    readGraph(json) {
+        this.graph = json || {};
 
+        const sampler = this.findSampler();
+        if (!sampler) {
+            this.log('Sampler not found');
+            return;
+        }
 
-    
+        this.log(`Sampler: ${sampler.class_type}`);
+
+        const inputs = sampler.inputs || {};
+        // SamplerCustomAdvanced keeps its settings on the guider / noise / sampler / sigmas nodes
+        const guider = this.linkedNode(inputs.guider)?.inputs || {};
+        const noise = this.linkedNode(inputs.noise)?.inputs || {};
+        const samplerSelect = this.linkedNode(inputs.sampler)?.inputs || {};
+        const sigmas = this.linkedNode(inputs.sigmas)?.inputs || {};
+
+        this.positive = this.collectTexts(inputs.positive ?? guider.positive ?? guider.conditioning);
+        this.negative = this.collectTexts(inputs.negative ?? guider.negative);
+
+        const { model, loras } = this.readModel(inputs.model ?? guider.model ?? sigmas.model);
+        this.lora = loras.map(({ name, weight }) => {
+            const lora_name = name.replace(/\.(safetensors|ckpt|pt|bin)$/i, '');
+            return weight !== undefined && weight !== null ? `<lora:${lora_name}:${weight}>` : `<lora:${lora_name}>`;
+        });
+
+        const params = [
+            ['Steps', this.resolveValue(inputs.steps ?? sigmas.steps, 'steps')],
+            ['Sampler', this.resolveValue(inputs.sampler_name ?? samplerSelect.sampler_name, 'sampler_name')],
+            ['Schedule type', this.resolveValue(inputs.scheduler ?? sigmas.scheduler, 'scheduler')],
+            ['CFG scale', this.resolveValue(inputs.cfg ?? guider.cfg, 'cfg')],
+            ['Seed', this.resolveValue(inputs.seed ?? inputs.noise_seed ?? noise.noise_seed, 'seed')],
+            ['Size', this.readSize(inputs.latent_image)],
+            ['Model', model],
+        ];
+
+        const denoise = this.resolveValue(inputs.denoise ?? sigmas.denoise, 'denoise');
+        if (denoise !== undefined && Number(denoise) !== 1) {
+            params.push(['Denoising strength', denoise]);
+        }
 
+        this.params = this.toParams(params);
+    }
 
+    addSummary() {
+        if (this.positive !== '') {
+            this.addField('Prompts', 'Prompt', this.positive, 'prompt');
+        }
+
+        if (this.negative !== '') {
+            this.addField('Prompts', 'Negative Prompt', this.negative, 'prompt');
+        }
+
+        this.addLoras(this.lora);
+
+        this.addParams(this.params);
+    }
+
+}
@@ -0,0 +1,222 @@
+import BaseFormat from "./read_prompt_base.js";
+import ComfyUI from "./read_prompt_comfy.js";
+
+export default class ComfyUIWorkflow extends BaseFormat {
+    constructor(raw = "", options = {}) {
+        super(raw, options);
+
+        this.log('ComfyUI workflow reader start');
+
+        this.nodeDefs = this.options.nodeDefs || {};
+
+        this.positive = '';
+        this.negative = '';
+        this.lora = [];
+        this.params = [];
+    }
+
+    static formatName = 'ComfyUI workflow';
+    static priority = 3;
+    static chunkNames = ['workflow'];
+
+    // the uploader passes the live object_info as options.nodeDefs
+    static usesNodeDefs = true;
+
+    static detect(chunks) {
+        const json = BaseFormat.parseJSON(chunks?.workflow);
+        return json && Array.isArray(json.nodes) ? 0.4 : 0;
+    }
+
+    static getRaw(chunks) {
+        return chunks.workflow || '';
+    }
+
+    run() {
+
+      try {
+
+        this.log('Start parce');
+
+        this.log('Open JSON');
+
+        const json = BaseFormat.parseJSON(this.raw);
+        if (!json) {
+            throw new Error('Not a JSON object');
+        }
+
+        if (!Array.isArray(json.nodes)) {
+            this.log('Not a UI workflow');
+            return;
+        }
+
+        this.log('Convert workflow to prompt');
+
+        const prompt = this.toPrompt(json);
+
+        this.log(prompt);
+
+        // the prompt reader does the rest: graph walk + node values
+        const comfy_parcer = new ComfyUI(JSON.stringify(prompt), this.options);
+        comfy_parcer.run();
+
+        this.positive = comfy_parcer.positive;
+        this.negative = comfy_parcer.negative;
+        this.lora = comfy_parcer.lora;
+        this.params = comfy_parcer.params;
+
+        const groups = (json.groups || []).map(group => group.title).filter(title => title);
+        if (groups.length > 0) {
+            this.addField('Workflow', 'Groups', groups.join(', '));
+        }
+
+        const titles = json.nodes
+            .filter(node => node.title && node.title !== node.type)
+            .map(node => `${node.title} (${node.type})`);
+        if (titles.length > 0) {
+            this.addField('Workflow', 'Titles', titles.join(', '));
+        }
+
+        const missing = [...new Set(json.nodes
+            .filter(node => !this.nodeDefs[node.type] && !this.isVirtualNode(node))
+            .map(node => node.type))];
+        if (missing.length > 0) {
+            this.addField('Workflow', 'Unknown nodes', missing.join(', '), 'error');
+        }
+
+        // workflow details go between the summary and the node values
+        const workflow = this._fields;
+        const summary = comfy_parcer.fields.filter(field => field.section !== 'Nodes');
+        const nodes = comfy_parcer.fields.filter(field => field.section === 'Nodes');
+        this._fields = [...summary, ...workflow, ...nodes];
+
+        this.log(this._fields);
+
+        this.log('End parce');
+
+      } catch (error) {
+          const error_text = "Error in parce";
+          console.error(`${error_text}: ${error.message}`);
+          throw error;
+      }
+    }
+
+    isVirtualNode(node) {
+        return ['Reroute', 'PrimitiveNode', 'Note', 'MarkdownNote'].includes(node.type);
+    }
+
+    toPrompt(workflow) {
+        const nodes = new Map(workflow.nodes.map(node => [node.id, node]));
+
+        // links are [id, origin_id, origin_slot, target_id, target_slot, type] or objects in newer schemas
+        const links = new Map();
+        for (const link of workflow.links || []) {
+            if (Array.isArray(link)) {
+                links.set(link[0], { origin_id: link[1], origin_slot: link[2], type: link[5] });
+            } else if (link) {
+                links.set(link.id, link);
+            }
+        }
+
+        const prompt = {};
+
+        for (const node of workflow.nodes) {
+            // 2 = muted, 4 = bypassed
+            if (node.mode === 2 || node.mode === 4) continue;
+            if (this.isVirtualNode(node)) continue;
+
+            const inputs = this.readWidgets(node);
+
+            for (const input of node.inputs || []) {
+                if (input.link === null || input.link === undefined) continue;
+                const value = this.resolveLink(input.link, links, nodes);
+                if (value !== undefined) {
+                    inputs[input.name] = value;
+                }
+            }
+
+            prompt[String(node.id)] = {
+                class_type: node.type,
+                inputs,
+                _meta: { title: node.title || node.type }
+            };
+        }
+
+        return prompt;
+    }
+
+    resolveLink(linkId, links, nodes, depth = 0) {
+        const link = links.get(linkId);
+        if (!link || depth > 50) return undefined;
+
+        const origin = nodes.get(link.origin_id);
+        if (!origin) return undefined;
+
+        if (origin.type === 'PrimitiveNode') {
+            return Array.isArray(origin.widgets_values) ? origin.widgets_values[0] : undefined;
+        }
+
+        if (origin.type === 'Reroute') {
+            const input = (origin.inputs || [])[0];
+            return input ? this.resolveLink(input.link, links, nodes, depth + 1) : undefined;
+        }
+
+        if (origin.mode === 2) return undefined;
+
+        if (origin.mode === 4) {
+            // bypassed node passes through its first input of the same type
+            const type = origin.outputs?.[link.origin_slot]?.type ?? link.type;
+            const input = (origin.inputs || []).find(item => item.type === type && item.link !== null && item.link !== undefined);
+            return input ? this.resolveLink(input.link, links, nodes, depth + 1) : undefined;
+        }
+
+        return [String(origin.id), link.origin_slot];
+    }
+
+    readWidgets(node) {
+        const values = node.widgets_values;
+        const inputs = {};
+
+        if (!values) return inputs;
+
+        // some custom nodes serialize widgets as a dictionary
+        if (!Array.isArray(values)) {
+            for (const [name, value] of Object.entries(values)) {
+                if (typeof value !== 'object' || value === null) inputs[name] = value;
+            }
+            return inputs;
+        }
+
+        const def = this.nodeDefs[node.type];
+        if (!def) return inputs;
+
+        const required = def.input?.required || {};
+        const optional = def.input?.optional || {};
+        const order = def.input_order
+            ? [...(def.input_order.required || []), ...(def.input_order.optional || [])]
+            : [...Object.keys(required), ...Object.keys(optional)];
+
+        let index = 0;
+        for (const name of order) {
+            if (index >= values.length) break;
+            const spec = required[name] || optional[name];
+            if (!spec || !this.isWidget(spec)) continue;
+
+            inputs[name] = values[index++];
+
+            // seed widgets are followed by the "control after generate" value
+            const [type, opts] = spec;
+            if ((type === 'INT' || type === 'FLOAT') && (opts?.control_after_generate || name === 'seed' || name === 'noise_seed')) {
+                index++;
+            }
+        }
+
+        return inputs;
+    }
+
+    isWidget(spec) {
+        const [type, opts] = spec;
+        if (opts?.forceInput) return false;
+        return Array.isArray(type) || ['INT', 'FLOAT', 'STRING', 'BOOLEAN', 'COMBO'].includes(type);
+    }
+
+}
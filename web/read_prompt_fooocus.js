@@ -0,0 +1,133 @@
+import BaseFormat from "./read_prompt_base.js";
+
+export default class Fooocus extends BaseFormat {
+    constructor(raw = "", options = {}) {
+        super(raw, options);
+
+        this.log('Fooocus prompt reader start');
+
+        this.positive = '';
+        this.negative = '';
+        this.lora = [];
+        this.params = [];
+    }
+
+    static formatName = 'Fooocus';
+    static priority = 10;
+    static chunkNames = ['parameters', 'fooocus_scheme'];
+
+    static detect(chunks) {
+        if (!chunks) return 0;
+        // fooocus_scheme "a1111" means plain A1111 parameters
+        if (chunks.fooocus_scheme) return chunks.fooocus_scheme.trim().toLowerCase() === 'fooocus' ? 1 : 0;
+
+        const json = BaseFormat.parseJSON(chunks.parameters);
+        if (!json) return 0;
+        return ('Prompt' in json && 'Base Model' in json) ||
+            ('prompt' in json && ('base_model' in json || /fooocus/i.test(json.version || ''))) ? 0.9 : 0;
+    }
+
+    static getRaw(chunks) {
+        return chunks.parameters || '';
+    }
+
+    run() {
+
+      try {
+
+        this.log('Start parce');
+
+        const raw = BaseFormat.parseJSON(this.raw);
+        if (!raw) return;
+
+        // old files use "Base Model", new ones "base_model"
+        const json = {};
+        for (const [key, value] of Object.entries(raw)) {
+            json[key.trim().toLowerCase().replace(/\s+/g, '_')] = value;
+        }
+
+        this.log(json);
+
+        const used = new Set(['prompt', 'negative_prompt', 'prompt_expansion', 'fooocus_v2_expansion', 'loras', 'metadata_scheme']);
+
+        this.positive = this.cleanEdges(json.prompt || '');
+        this.negative = this.cleanEdges(json.negative_prompt || '');
+        const expansion = this.cleanEdges(json.prompt_expansion || json.fooocus_v2_expansion || '');
+
+        // "lora_combined_1": "name : weight" or "loras": [[name, weight, hash], ...]
+        const loras = [];
+        for (const [key, value] of Object.entries(json)) {
+            if (!/^lora(_combined)?_\d+$/.test(key)) continue;
+            used.add(key);
+            const [name, weight] = String(value).split(' : ');
+            if (name && name !== 'None') loras.push({ name: name.trim(), weight: weight?.trim() });
+        }
+        if (Array.isArray(json.loras)) {
+            for (const item of json.loras) {
+                if (Array.isArray(item) && item[0]) loras.push({ name: item[0], weight: item[1] });
+            }
+        }
+        this.lora = loras.map(({ name, weight }) => {
+            const lora_name = String(name).replace(/\.(safetensors|ckpt|pt)$/i, '');
+            return weight !== undefined ? `<lora:${lora_name}:${weight}>` : `<lora:${lora_name}>`;
+        });
+
+        const take = (key) => {
+            used.add(key);
+            return json[key];
+        };
+
+        const resolution = take('resolution');
+        const size = resolution ? String(resolution).replace(/[()\s]/g, '').replace(',', 'x') : undefined;
+
+        const params = [
+            ['Steps', take('steps')],
+            ['Sampler', take('sampler')],
+            ['Schedule type', take('scheduler')],
+            ['CFG scale', take('guidance_scale')],
+            ['Seed', take('seed')],
+            ['Size', size],
+            ['Model', take('base_model')],
+            ['Refiner model', take('refiner_model')],
+            ['Refiner switch', take('refiner_switch')],
+            ['Styles', take('styles')],
+            ['Performance', take('performance')],
+            ['Sharpness', take('sharpness')],
+            ['ADM Guidance', take('adm_guidance')],
+            ['VAE', take('vae')],
+            ['Version', take('version')],
+        ];
+
+        // everything else as is
+        for (const [key, value] of Object.entries(json)) {
+            if (!used.has(key)) params.push([key, value]);
+        }
+
+        this.params = this.toParams(params);
+
+        this.addField('Prompts', 'Prompt', this.positive, 'prompt');
+
+        if (expansion !== '') {
+            this.addField('Prompts', 'Fooocus V2 Expansion', expansion, 'prompt');
+        }
+
+        if (this.negative !== '') {
+            this.addField('Prompts', 'Negative Prompt', this.negative, 'prompt');
+        }
+
+        this.addLoras(this.lora);
+
+        this.addParams(this.params);
+
+        this.log(this.fields);
+
+        this.log('End parce');
+
+      } catch (error) {
+          const error_text = "Error in parce";
+          console.error(`${error_text}: ${error.message}`);
+          throw error;
+      }
+    }
+
+}
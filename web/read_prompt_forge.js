@@ -14,6 +14,21 @@ export default class ForgeUI extends BaseFormat {
         this.llmUser = '';     // <-- новое поле
     }
 
+    static formatName = 'Forge/A1111';
+    static priority = 5;
+    static chunkNames = ['parameters'];
+
+    static detect(chunks) {
+        const parameters = chunks?.parameters;
+        // JSON parameters belong to other tools, not to A1111
+        if (!parameters || BaseFormat.parseJSON(parameters)) return 0;
+        return /(^|\n)Steps: /.test(parameters) ? 0.8 : 0.5;
+    }
+
+    static getRaw(chunks) {
+        return chunks.parameters || '';
+    }
+
     run() {
 
       try {
@@ -106,61 +121,30 @@ export default class ForgeUI extends BaseFormat {
         this.llmUser = llmUser;
 
         // === 9. Генерируем результат ===   
-        let result = {};
-        result["Prompt:<br>"] = `${this.escapeHTML(positive)}`;
+        this.addField('Prompts', 'Prompt', positive, 'prompt');
 
         if (llmSystem !== "") {
-           result["LLM_system_prompt:<br>"] = `${this.escapeHTML(llmSystem)}`;
+           this.addField('Prompts', 'LLM_system_prompt', llmSystem, 'prompt');
         }
 
         if (llmUser !== "") {
-           result["LLM_user_prompt:<br>"] = `${this.escapeHTML(llmUser)}`;
+           this.addField('Prompts', 'LLM_user_prompt', llmUser, 'prompt');
         }
 
         if (negative !== "") {
-           result["Negative Prompt:<br>"] = `${this.escapeHTML(negative)}`;
+           this.addField('Prompts', 'Negative Prompt', negative, 'prompt');
         }
 
-        if (lora) {
-          let lora_text = "";
-          for (let i = 0; i < lora.length; i++) {
-            const pattern = /<(.*?):(.*?)(?::(.*?))?>/g;        
-            const text = lora[i].replace(pattern, (match, prefix, name, weight) => {
-                if (weight !== undefined) {
-                    // Вариант с весом: <lora:name:weight>
-                    return `&lt${prefix}:${this.options.colors.color_file}${name}${this.options.colors.color_default}:${this.options.colors.color_int}${weight}${this.options.colors.color_default}&gt`;
-                } else {
-                    // Вариант без веса: <lora:name>
-                    return `&lt${prefix}:${this.options.colors.color_file}${name}${this.options.colors.color_default}&gt`;
-                }
-            });
-            lora_text = lora_text + "<br>" + text;
-          }
-          result["LoRA:"] = `${lora_text}`;
-        }
+        this.addLoras(lora);
 
         const params = this.parseParameters(last_line);
-        for (let i = 0; i < params.length; i++) {
-          const obj = params[i];
-          const key = `${this.escapeHTML(obj.key)}`;        
-          const text = `${this.escapeHTML(obj.value)}`;  
-
-          if (this.isNumber(obj.value)) {
-              result[`${key}: `] = `${this.options.colors.color_int}${text}`;
-          } else if (key == "Model") {
-              result[`${key}: `] = `${this.options.colors.color_file}${text}`;
-          } else {
-              result[`${key}: `] = `${text}`;
-          }  
-        }
+        this.addParams(params);
 
         this.params = params;
 
         this.log(params);  
 
-        this._output = result;
-
-        this.log(result);  
+        this.log(this.fields);  
 
         this.log('End parce');   
 
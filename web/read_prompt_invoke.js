@@ -0,0 +1,187 @@
+import BaseFormat from "./read_prompt_base.js";
+
+export default class InvokeAI extends BaseFormat {
+    constructor(raw = "", options = {}) {
+        super(raw, options);
+
+        this.log('InvokeAI prompt reader start');
+
+        this.chunks = this.options.chunks || {};
+
+        this.positive = '';
+        this.negative = '';
+        this.lora = [];
+        this.params = [];
+    }
+
+    static formatName = 'InvokeAI';
+    static priority = 10;
+    static chunkNames = ['invokeai_metadata', 'sd-metadata', 'invokeai_graph'];
+
+    static detect(chunks) {
+        return chunks && (chunks.invokeai_metadata || chunks['sd-metadata'] || chunks.invokeai_graph) ? 1 : 0;
+    }
+
+    static getRaw(chunks) {
+        return chunks.invokeai_metadata || '';
+    }
+
+    run() {
+
+      try {
+
+        this.log('Start parce');
+
+        let extra = {};
+
+        const metadata = BaseFormat.parseJSON(this.chunks.invokeai_metadata);
+        const legacy = BaseFormat.parseJSON(this.chunks['sd-metadata']);
+        const graph = BaseFormat.parseJSON(this.chunks.invokeai_graph);
+
+        if (metadata) {
+            this.log('InvokeAI 3+ metadata');
+            extra = this.readMetadata(metadata);
+        } else if (legacy) {
+            this.log('InvokeAI 2 metadata');
+            this.readLegacy(legacy);
+        } else if (graph) {
+            this.log('InvokeAI graph');
+            this.readGraph(graph);
+        } else {
+            return;
+        }
+
+        this.addField('Prompts', 'Prompt', this.positive, 'prompt');
+
+        if (extra.positiveStyle) {
+            this.addField('Prompts', 'Style Prompt', extra.positiveStyle, 'prompt');
+        }
+
+        if (this.negative !== '') {
+            this.addField('Prompts', 'Negative Prompt', this.negative, 'prompt');
+        }
+
+        if (extra.negativeStyle) {
+            this.addField('Prompts', 'Negative Style Prompt', extra.negativeStyle, 'prompt');
+        }
+
+        this.addLoras(this.lora);
+
+        this.addParams(this.params);
+
+        this.log(this.fields);
+
+        this.log('End parce');
+
+      } catch (error) {
+          const error_text = "Error in parce";
+          console.error(`${error_text}: ${error.message}`);
+          throw error;
+      }
+    }
+
+    modelName(model) {
+        if (!model) return undefined;
+        if (typeof model === 'string') return model;
+        return model.name ?? model.model_name;
+    }
+
+    // invokeai_metadata (InvokeAI 3 and later)
+    readMetadata(json) {
+        this.positive = this.cleanEdges(json.positive_prompt || '');
+        this.negative = this.cleanEdges(json.negative_prompt || '');
+
+        this.lora = (json.loras || [])
+            .map(item => ({ name: this.modelName(item.model ?? item.lora), weight: item.weight }))
+            .filter(item => item.name)
+            .map(item => item.weight !== undefined ? `<lora:${item.name}:${item.weight}>` : `<lora:${item.name}>`);
+
+        const size = json.width && json.height ? `${json.width}x${json.height}` : undefined;
+
+        this.params = this.toParams([
+            ['Steps', json.steps],
+            ['Sampler', json.scheduler],
+            ['CFG scale', json.cfg_scale],
+            ['CFG rescale', json.cfg_rescale_multiplier],
+            ['Seed', json.seed],
+            ['Size', size],
+            ['Model', this.modelName(json.model)],
+            ['VAE', this.modelName(json.vae)],
+            ['Denoising strength', json.strength],
+            ['Clip skip', json.clip_skip],
+            ['Refiner model', this.modelName(json.refiner_model)],
+            ['Refiner steps', json.refiner_steps],
+            ['Refiner CFG scale', json.refiner_cfg_scale],
+            ['Generation mode', json.generation_mode],
+            ['Version', json.app_version],
+        ]);
+
+        return {
+            positiveStyle: json.positive_style_prompt && json.positive_style_prompt !== json.positive_prompt ? json.positive_style_prompt : '',
+            negativeStyle: json.negative_style_prompt && json.negative_style_prompt !== json.negative_prompt ? json.negative_style_prompt : ''
+        };
+    }
+
+    // sd-metadata (InvokeAI 2), negative prompt is written in [brackets]
+    readLegacy(json) {
+        const image = json.image || {};
+
+        let prompt = image.prompt || '';
+        if (Array.isArray(prompt)) {
+            prompt = prompt.map(item => item.prompt ?? '').join(' ');
+        }
+
+        const negatives = [...prompt.matchAll(/\[([^\]]*)\]/g)].map(match => match[1].trim());
+        this.positive = this.cleanEdges(prompt.replace(/\[[^\]]*\]/g, ''));
+        this.negative = this.cleanEdges(negatives.join(', '));
+
+        const size = image.width && image.height ? `${image.width}x${image.height}` : undefined;
+
+        this.params = this.toParams([
+            ['Steps', image.steps],
+            ['Sampler', image.sampler],
+            ['CFG scale', image.cfg_scale],
+            ['Seed', image.seed],
+            ['Size', size],
+            ['Model', json.model_weights],
+            ['Denoising strength', image.strength],
+            ['Type', image.type],
+            ['Version', json.app_version],
+        ]);
+    }
+
+    // invokeai_graph only: find the values on the graph nodes
+    readGraph(json) {
+        const nodes = json.nodes || {};
+        const edges = json.edges || [];
+        const byType = (types) => Object.values(nodes).filter(node => types.includes(node.type));
+
+        const promptOf = (field) => {
+            const edge = edges.find(item => item.destination?.field === field);
+            return edge ? nodes[edge.source?.node_id]?.prompt ?? '' : '';
+        };
+
+        this.positive = this.cleanEdges(promptOf('positive_conditioning'));
+        this.negative = this.cleanEdges(promptOf('negative_conditioning'));
+
+        this.lora = byType(['lora_loader', 'sdxl_lora_loader'])
+            .filter(node => this.modelName(node.lora))
+            .map(node => `<lora:${this.modelName(node.lora)}:${node.weight ?? 1}>`);
+
+        const denoise = byType(['denoise_latents'])[0] || {};
+        const noise = byType(['noise'])[0] || {};
+        const model = byType(['main_model_loader', 'sdxl_model_loader'])[0] || {};
+
+        const size = noise.width && noise.height ? `${noise.width}x${noise.height}` : undefined;
+
+        this.params = this.toParams([
+            ['Steps', denoise.steps],
+            ['Sampler', denoise.scheduler],
+            ['CFG scale', denoise.cfg_scale],
+            ['Seed', noise.seed],
+            ['Size', size],
+            ['Model', this.modelName(model.model)],
+        ]);
+    }
+
+}
@@ -0,0 +1,109 @@
+import BaseFormat from "./read_prompt_base.js";
+
+export default class NovelAI extends BaseFormat {
+    constructor(raw = "", options = {}) {
+        super(raw, options);
+
+        this.log('NovelAI prompt reader start');
+
+        this.chunks = this.options.chunks || {};
+
+        this.positive = '';
+        this.negative = '';
+        this.lora = [];
+        this.params = [];
+    }
+
+    static formatName = 'NovelAI';
+    static priority = 10;
+    static chunkNames = ['comment', 'description', 'software', 'source', 'generation time', 'title'];
+
+    static detect(chunks) {
+        if (!chunks) return 0;
+        if ((chunks.software || '').includes('NovelAI') || (chunks.source || '').includes('NovelAI')) return 1;
+        const comment = BaseFormat.parseJSON(chunks.comment);
+        return comment && 'uc' in comment ? 0.9 : 0;
+    }
+
+    static getRaw(chunks) {
+        return chunks.comment || '{}';
+    }
+
+    run() {
+
+      try {
+
+        this.log('Start parce');
+
+        this.log('Open JSON');
+
+        const json = BaseFormat.parseJSON(this.raw);
+        if (!json) {
+            throw new Error('Not a JSON object');
+        }
+
+        this.log(json);
+
+        // V4: base caption + per character captions
+        const v4Prompt = json.v4_prompt?.caption;
+        const v4Negative = json.v4_negative_prompt?.caption;
+        const useCoords = json.v4_prompt?.use_coords === true;
+
+        this.positive = this.cleanEdges(v4Prompt?.base_caption ?? json.prompt ?? this.chunks.description ?? '');
+        this.negative = this.cleanEdges(v4Negative?.base_caption ?? json.uc ?? '');
+
+        this.addField('Prompts', 'Prompt', this.positive, 'prompt');
+
+        const characters = v4Prompt?.char_captions || [];
+        const negativeCharacters = v4Negative?.char_captions || [];
+
+        characters.forEach((character, index) => {
+            const text = this.cleanEdges(character.char_caption || '');
+            if (text === '') return;
+            const center = character.centers?.[0];
+            const position = useCoords && center ? ` (${center.x}, ${center.y})` : '';
+            this.addField('Prompts', `Character ${index + 1}${position}`, text, 'prompt');
+        });
+
+        if (this.negative !== '') {
+            this.addField('Prompts', 'Negative Prompt', this.negative, 'prompt');
+        }
+
+        negativeCharacters.forEach((character, index) => {
+            const text = this.cleanEdges(character.char_caption || '');
+            if (text === '') return;
+            this.addField('Prompts', `Character ${index + 1} Negative`, text, 'prompt');
+        });
+
+        const params = [
+            ['Steps', json.steps],
+            ['Sampler', json.sampler],
+            ['Schedule type', json.noise_schedule],
+            ['CFG scale', json.scale],
+            ['CFG rescale', json.cfg_rescale],
+            ['Seed', json.seed],
+            ['Size', json.width && json.height ? `${json.width}x${json.height}` : undefined],
+            ['Denoising strength', json.strength],
+            ['Noise', json.noise],
+            ['SMEA', json.sm],
+            ['SMEA DYN', json.sm_dyn],
+            ['Model', this.chunks.source],
+            ['Software', this.chunks.software],
+            ['Generation time', this.chunks['generation time']],
+        ];
+
+        this.params = this.toParams(params);
+        this.addParams(this.params);
+
+        this.log(this.fields);
+
+        this.log('End parce');
+
+      } catch (error) {
+          const error_text = "Error in parce";
+          console.error(`${error_text}: ${error.message}`);
+          throw error;
+      }
+    }
+
+}
@@ -0,0 +1,107 @@
+import BaseFormat from "./read_prompt_base.js";
+
+export default class SwarmUI extends BaseFormat {
+    constructor(raw = "", options = {}) {
+        super(raw, options);
+
+        this.log('SwarmUI prompt reader start');
+
+        this.positive = '';
+        this.negative = '';
+        this.lora = [];
+        this.params = [];
+    }
+
+    static formatName = 'SwarmUI';
+    static priority = 10;
+    static chunkNames = ['parameters'];
+
+    static detect(chunks) {
+        const json = BaseFormat.parseJSON(chunks?.parameters);
+        return json && json.sui_image_params ? 1 : 0;
+    }
+
+    static getRaw(chunks) {
+        return chunks.parameters || '';
+    }
+
+    run() {
+
+      try {
+
+        this.log('Start parce');
+
+        const json = BaseFormat.parseJSON(this.raw);
+        if (!json || !json.sui_image_params) return;
+
+        const image = json.sui_image_params;
+        const extra = json.sui_extra_data || {};
+
+        this.log(json);
+
+        const used = new Set(['prompt', 'negativeprompt', 'loras', 'loraweights']);
+        const take = (key) => {
+            used.add(key);
+            return image[key];
+        };
+
+        this.positive = this.cleanEdges(image.prompt || '');
+        this.negative = this.cleanEdges(image.negativeprompt || '');
+
+        const loras = Array.isArray(image.loras) ? image.loras : [];
+        const weights = Array.isArray(image.loraweights) ? image.loraweights : [];
+        this.lora = loras.map((name, index) => {
+            const weight = weights[index];
+            return weight !== undefined ? `<lora:${name}:${weight}>` : `<lora:${name}>`;
+        });
+
+        const width = take('width');
+        const height = take('height');
+
+        const params = [
+            ['Steps', take('steps')],
+            ['Sampler', take('sampler')],
+            ['Schedule type', take('scheduler')],
+            ['CFG scale', take('cfgscale')],
+            ['Seed', take('seed')],
+            ['Size', width && height ? `${width}x${height}` : undefined],
+            ['Model', take('model')],
+            ['Aspect ratio', take('aspectratio')],
+            ['Version', take('swarm_version')],
+        ];
+
+        // everything else as is
+        for (const [key, value] of Object.entries(image)) {
+            if (!used.has(key)) params.push([key, value]);
+        }
+        for (const [key, value] of Object.entries(extra)) {
+            params.push([key, value]);
+        }
+        if (Array.isArray(json.sui_models)) {
+            params.push(['Models', json.sui_models.map(model => model.name ?? model).join(', ')]);
+        }
+
+        this.params = this.toParams(params);
+
+        this.addField('Prompts', 'Prompt', this.positive, 'prompt');
+
+        if (this.negative !== '') {
+            this.addField('Prompts', 'Negative Prompt', this.negative, 'prompt');
+        }
+
+        this.addLoras(this.lora);
+
+        this.addParams(this.params);
+
+        this.log(this.fields);
+
+        this.log('End parce');
+
+      } catch (error) {
+          const error_text = "Error in parce";
+          console.error(`${error_text}: ${error.message}`);
+          throw error;
+      }
+    }
+
+}
@@ -0,0 +1,150 @@
+// A1111 / Forge sampler and schedule type names <-> ComfyUI sampler_name + scheduler
+
+const SAMPLERS = {
+    'euler a': 'euler_ancestral',
+    'euler': 'euler',
+    'lms': 'lms',
+    'heun': 'heun',
+    'dpm2': 'dpm_2',
+    'dpm2 a': 'dpm_2_ancestral',
+    'dpm++ 2s a': 'dpmpp_2s_ancestral',
+    'dpm++ 2m': 'dpmpp_2m',
+    'dpm++ sde': 'dpmpp_sde',
+    'dpm++ 2m sde': 'dpmpp_2m_sde',
+    'dpm++ 2m sde gpu': 'dpmpp_2m_sde_gpu',
+    'dpm++ 3m sde': 'dpmpp_3m_sde',
+    'dpm fast': 'dpm_fast',
+    'dpm adaptive': 'dpm_adaptive',
+    'lcm': 'lcm',
+    'ddim': 'ddim',
+    'ddpm': 'ddpm',
+    'unipc': 'uni_pc',
+    'ipndm': 'ipndm',
+    'ipndm_v': 'ipndm_v',
+    'deis': 'deis',
+    'euler cfg++': 'euler_cfg_pp',
+    'euler a cfg++': 'euler_ancestral_cfg_pp',
+    'dpm++ 2m cfg++': 'dpmpp_2m_cfg_pp',
+};
+
+// closest ComfyUI sampler when there is no exact one
+const SIMILAR_SAMPLERS = {
+    'dpm++ 2m sde heun': 'dpmpp_2m_sde',
+    'plms': 'euler',
+    'restart': 'euler',
+};
+
+const SCHEDULERS = {
+    'uniform': 'normal',
+    'normal': 'normal',
+    'karras': 'karras',
+    'exponential': 'exponential',
+    'sgm uniform': 'sgm_uniform',
+    'simple': 'simple',
+    'ddim': 'ddim_uniform',
+    'beta': 'beta',
+    'kl optimal': 'kl_optimal',
+    'linear quadratic': 'linear_quadratic',
+};
+
+// what A1111 "Automatic" resolves to for k-diffusion samplers
+const AUTOMATIC_SCHEDULERS = {
+    'dpm2': 'karras',
+    'dpm2 a': 'karras',
+    'dpm++ 2s a': 'karras',
+    'dpm++ 2m': 'karras',
+    'dpm++ sde': 'karras',
+    'dpm++ 2m sde': 'exponential',
+    'dpm++ 2m sde heun': 'exponential',
+    'dpm++ 3m sde': 'exponential',
+};
+
+// scheduler written as a sampler suffix in old A1111 versions: "DPM++ 2M Karras"
+const SCHEDULER_SUFFIXES = ['karras', 'exponential', 'sgm uniform'];
+
+export function mapSampler(sampler = '', scheduleType = '') {
+    const warnings = [];
+
+    let name = sampler.trim().toLowerCase();
+    let schedule = scheduleType.trim().toLowerCase();
+
+    for (const suffix of SCHEDULER_SUFFIXES) {
+        if (name.endsWith(` ${suffix}`)) {
+            name = name.slice(0, -suffix.length - 1).trim();
+            if (!schedule || schedule === 'automatic') schedule = suffix;
+            break;
+        }
+    }
+
+    let sampler_name = SAMPLERS[name];
+    if (!sampler_name && SIMILAR_SAMPLERS[name]) {
+        sampler_name = SIMILAR_SAMPLERS[name];
+        warnings.push(`Sampler "${sampler}" has no ComfyUI equivalent, "${sampler_name}" is used`);
+    } else if (!sampler_name && name) {
+        sampler_name = 'euler';
+        warnings.push(`Unknown sampler "${sampler}", "euler" is used`);
+    }
+
+    let scheduler;
+    if (!schedule || schedule === 'automatic') {
+        scheduler = AUTOMATIC_SCHEDULERS[name] || 'normal';
+    } else {
+        scheduler = SCHEDULERS[schedule];
+        if (!scheduler) {
+            scheduler = 'normal';
+            warnings.push(`Schedule type "${scheduleType}" has no ComfyUI equivalent, "normal" is used`);
+        }
+    }
+
+    return { sampler_name, scheduler, warnings };
+}
+
+// ComfyUI -> A1111 names, for "copy as A1111 parameters"
+const A1111_SAMPLERS = {
+    'euler_ancestral': 'Euler a',
+    'euler': 'Euler',
+    'lms': 'LMS',
+    'heun': 'Heun',
+    'dpm_2': 'DPM2',
+    'dpm_2_ancestral': 'DPM2 a',
+    'dpmpp_2s_ancestral': 'DPM++ 2S a',
+    'dpmpp_2m': 'DPM++ 2M',
+    'dpmpp_sde': 'DPM++ SDE',
+    'dpmpp_sde_gpu': 'DPM++ SDE',
+    'dpmpp_2m_sde': 'DPM++ 2M SDE',
+    'dpmpp_2m_sde_gpu': 'DPM++ 2M SDE',
+    'dpmpp_3m_sde': 'DPM++ 3M SDE',
+    'dpmpp_3m_sde_gpu': 'DPM++ 3M SDE',
+    'dpm_fast': 'DPM fast',
+    'dpm_adaptive': 'DPM adaptive',
+    'lcm': 'LCM',
+    'ddim': 'DDIM',
+    'ddpm': 'DDPM',
+    'uni_pc': 'UniPC',
+    'ipndm': 'iPNDM',
+    'ipndm_v': 'iPNDM_v',
+    'deis': 'DEIS',
+    'euler_cfg_pp': 'Euler CFG++',
+    'euler_ancestral_cfg_pp': 'Euler a CFG++',
+    'dpmpp_2m_cfg_pp': 'DPM++ 2M CFG++',
+};
+
+const A1111_SCHEDULERS = {
+    'normal': 'Normal',
+    'karras': 'Karras',
+    'exponential': 'Exponential',
+    'sgm_uniform': 'SGM Uniform',
+    'simple': 'Simple',
+    'ddim_uniform': 'DDIM',
+    'beta': 'Beta',
+    'kl_optimal': 'KL Optimal',
+    'linear_quadratic': 'Linear Quadratic',
+};
+
+// names that are not ComfyUI ones (already A1111) are returned as they are
+export function toA1111Sampler(sampler = '', scheduler = '') {
+    return {
+        sampler: A1111_SAMPLERS[sampler] || sampler,
+        scheduleType: A1111_SCHEDULERS[scheduler] || scheduler
+    };
+}
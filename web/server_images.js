@@ -0,0 +1,129 @@
+import { api } from "../../../scripts/api.js";
+
+// images the ComfyUI server already has: queue history, output / input folders
+// image: { filename, subfolder, type }
+
+const IMAGE_EXTENSIONS = /\.(png|jpe?g|webp)$/i;
+
+const MIME_TYPES = { png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg', webp: 'image/webp' };
+
+// "sub/dir/name.png" -> { filename: "name.png", subfolder: "sub/dir" }
+function splitPath(path, type) {
+    const index = path.lastIndexOf('/');
+    return {
+        filename: index >= 0 ? path.slice(index + 1) : path,
+        subfolder: index >= 0 ? path.slice(0, index) : '',
+        type
+    };
+}
+
+// newest first, every image of every finished prompt
+export async function listHistoryImages(maxItems = 200) {
+    const history = await api.getHistory(maxItems);
+    // { History: [...] } from the frontend api, { prompt_id: item } from /history
+    const items = Array.isArray(history?.History) ? history.History : Object.values(history || {});
+
+    const images = [];
+    const seen = new Set();
+    for (const item of [...items].reverse()) {
+        for (const output of Object.values(item.outputs || {})) {
+            for (const image of output.images || []) {
+                if (!image?.filename || !IMAGE_EXTENSIONS.test(image.filename)) continue;
+                const key = `${image.type}/${image.subfolder}/${image.filename}`;
+                if (seen.has(key)) continue;
+                seen.add(key);
+                images.push({ filename: image.filename, subfolder: image.subfolder || '', type: image.type || 'output' });
+            }
+        }
+    }
+    return images;
+}
+
+// /internal/files/{type} is not a public api, servers without it get a fallback:
+// "input" - the LoadImage list, "output" - the images of the queue history.
+// -> { images, note }, note - what the user should know about a partial list
+export async function listFolderImages(type) {
+    try {
+        const response = await api.fetchApi(`/internal/files/${type}`);
+        if (response.ok) {
+            const files = await response.json();
+            if (Array.isArray(files)) {
+                const images = files
+                    .filter(path => IMAGE_EXTENSIONS.test(path))
+                    .map(path => splitPath(path, type));
+                return { images, note: null };
+            }
+        }
+    } catch (error) {
+        // the fallback below
+    }
+
+    if (type === 'input') {
+        const defs = await api.getNodeDefs();
+        const files = defs?.LoadImage?.input?.required?.image?.[0];
+        if (Array.isArray(files)) {
+            const images = files
+                .filter(path => IMAGE_EXTENSIONS.test(path))
+                .map(path => splitPath(path, type));
+            return { images, note: null };
+        }
+    }
+
+    if (type === 'output') {
+        const images = (await listHistoryImages()).filter(image => image.type === 'output');
+        return { images, note: "This ComfyUI can't list the output folder, only the outputs of the queue history are shown" };
+    }
+
+    throw new Error(`This ComfyUI can't list the ${type} folder`);
+}
+
+// the image a node shows on the canvas (LoadImage, SaveImage, PreviewImage...) or null
+export function nodeImage(node) {
+    if (!node?.imgs?.length) return null;
+    const img = node.imgs[node.imageIndex ?? node.overIndex ?? 0] || node.imgs[0];
+    if (!img?.src) return null;
+    return viewImage(img.src) || { src: img.src, filename: new URL(img.src, location.href).pathname.split('/').pop() || 'image.png' };
+}
+
+// /view?filename=... -> { filename, subfolder, type }, other urls -> null
+// the page can show a re-encoded preview, the original is asked for by name
+export function viewImage(src) {
+    let url;
+    try {
+        url = new URL(src, location.href);
+    } catch (error) {
+        return null;
+    }
+    const filename = url.searchParams.get('filename');
+    if (!url.pathname.endsWith('/view') || !filename || !IMAGE_EXTENSIONS.test(filename)) return null;
+    return {
+        filename,
+        subfolder: url.searchParams.get('subfolder') || '',
+        type: url.searchParams.get('type') || 'output'
+    };
+}
+
+// preview - small webp made by the server, for the thumbnails
+export function viewURL(image, preview = false) {
+    const params = new URLSearchParams({
+        filename: image.filename,
+        subfolder: image.subfolder || '',
+        type: image.type || 'output'
+    });
+    if (preview) params.set('preview', 'webp;50');
+    return api.apiURL(`/view?${params}`);
+}
+
+// the original file, metadata included
+export async function fetchImageFile(image) {
+    const response = await fetch(image.src || viewURL(image));
+    if (!response.ok) {
+        throw new Error(`${image.filename}: ${response.status} ${response.statusText}`);
+    }
+    const blob = await response.blob();
+    const extension = image.filename.split('.').pop().toLowerCase();
+    return new File([blob], image.filename, {
+        type: MIME_TYPES[extension] || blob.type,
+        lastModified: Date.parse(response.headers.get('last-modified')) || Date.now()
+    });
+}